@@ -6,13 +6,16 @@ import {
   onDisconnect,
   onQueueJoined,
   onMatchFound,
+  onMatchFailed,
   onGameStart,
   onQuestion,
   onAnswerResult,
+  onAnswerRejected,
   onRoundScores,
   onGameEnd,
   onPlayerLeft,
   onError,
+  rejoinMatch,
   removeAllListeners
 } from './utils/socket';
 import Lobby from './components/Lobby';
@@ -23,6 +26,12 @@ import Profile from './components/Profile';
 import { API_URL } from './config';
 import './styles/App.css';
 
+// Forget the match this tab was playing (and its rejoin token) once it is over
+const forgetActiveMatch = () => {
+  sessionStorage.removeItem('bughunt_match_id');
+  sessionStorage.removeItem('bughunt_rejoin_token');
+};
+
 /**
  * Game states:
  * - 'mode-select': Choose Practice or Multiplayer
@@ -44,7 +53,9 @@ function App() {
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [gameSettings, setGameSettings] = useState({
     language: 'javascript',
-    difficulty: 'medium'
+    difficulty: 'medium',
+    topic: null,
+    locale: navigator.language || 'en' // Question language; the server falls back to English
   });
 
   // Player profile state (anonymous identity)
@@ -63,10 +74,10 @@ function App() {
   const [currentQuestion, setCurrentQuestion] = useState(null);
   const [questionNumber, setQuestionNumber] = useState(0);
   const [totalQuestions, setTotalQuestions] = useState(0);
-  const [questionTimeLimit, setQuestionTimeLimit] = useState(30);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [answerSubmitted, setAnswerSubmitted] = useState(false);
   const [answerFeedback, setAnswerFeedback] = useState(null);
+  const [answerRejection, setAnswerRejection] = useState(null);
 
   // Scoreboard state
   const [scores, setScores] = useState([]);
@@ -123,10 +134,47 @@ function App() {
   useEffect(() => {
     connectSocket();
 
+    // Pick a match back up after the socket reconnected or the page was reloaded.
+    // The server holds a dropped player's place for a short while.
+    const resumeMatch = async () => {
+      const activeMatchId = sessionStorage.getItem('bughunt_match_id');
+      const rejoinToken = sessionStorage.getItem('bughunt_rejoin_token');
+      const savedPlayerId = localStorage.getItem('bughunt_player_id');
+      const savedToken = localStorage.getItem('bughunt_profile_token');
+      if (!activeMatchId || !rejoinToken || !savedPlayerId) {
+        return;
+      }
+
+      const result = await rejoinMatch(savedPlayerId, rejoinToken, savedToken);
+      if (!result.success) {
+        console.log('Could not rejoin match:', result.error);
+        forgetActiveMatch();
+        return;
+      }
+
+      const { match } = result;
+      console.log('Rejoined match:', match);
+      setGameMode('multiplayer');
+      setMatchId(match.matchId);
+      setPlayers(match.players);
+      setTotalQuestions(match.totalQuestions);
+      setScores(match.scores);
+      if (match.question) {
+        setCurrentQuestion(match.question);
+        setQuestionNumber(match.question.questionNumber);
+        setSelectedAnswer(null);
+        setAnswerSubmitted(match.answerResult !== null);
+        setAnswerFeedback(match.answerResult);
+        setAnswerRejection(null);
+      }
+      setGameState(match.phase === 'waiting' || match.phase === 'countdown' ? 'waiting' : 'playing');
+    };
+
     // Setup connection listeners
     onConnect(() => {
       console.log('Connected to server');
       setConnectionStatus('connected');
+      resumeMatch();
     });
 
     onDisconnect(() => {
@@ -152,15 +200,24 @@ function App() {
 
     onMatchFound((data) => {
       console.log('Match found:', data);
+      sessionStorage.setItem('bughunt_match_id', data.matchId);
+      sessionStorage.setItem('bughunt_rejoin_token', data.rejoinToken);
       setMatchId(data.matchId);
       setPlayers(data.players);
       setGameState('waiting');
     });
 
+    onMatchFailed((data) => {
+      console.error('Match failed to start:', data);
+      forgetActiveMatch();
+      setMatchId(null);
+      setGameState('username');
+      alert(data.message);
+    });
+
     onGameStart((data) => {
       console.log('Game starting:', data);
       setTotalQuestions(data.totalQuestions);
-      setQuestionTimeLimit(data.questionTimeLimit);
       setGameState('playing');
     });
 
@@ -171,6 +228,7 @@ function App() {
       setSelectedAnswer(null);
       setAnswerSubmitted(false);
       setAnswerFeedback(null);
+      setAnswerRejection(null);
     });
 
     onAnswerResult((data) => {
@@ -178,6 +236,11 @@ function App() {
       setAnswerFeedback(data);
     });
 
+    onAnswerRejected((data) => {
+      console.log('Answer rejected:', data);
+      setAnswerRejection(data);
+    });
+
     onRoundScores((data) => {
       console.log('Round scores:', data);
       setScores(data.scores);
@@ -185,6 +248,7 @@ function App() {
 
     onGameEnd((data) => {
       console.log('Game ended:', data);
+      forgetActiveMatch();
       setFinalScores(data.finalScores);
       setWinner(data.winner);
       setGameState('game-over');
@@ -205,9 +269,11 @@ function App() {
       removeAllListeners('connect');
       removeAllListeners('disconnect');
       removeAllListeners('match_found');
+      removeAllListeners('match_failed');
       removeAllListeners('game_start');
       removeAllListeners('question');
       removeAllListeners('answer_result');
+      removeAllListeners('answer_rejected');
       removeAllListeners('round_scores');
       removeAllListeners('game_end');
       removeAllListeners('player_left');
@@ -286,6 +352,7 @@ function App() {
 
   // Reset to lobby
   const resetToLobby = () => {
+    forgetActiveMatch();
     setGameState('mode-select');
     setGameMode(null);
     setUsername('');
@@ -343,6 +410,8 @@ function App() {
         {gameState === 'practice-playing' && (
           <PracticeGame
             username={username}
+            playerId={playerId}
+            profileToken={profileToken}
             onGameEnd={handlePracticeGameEnd}
             settings={gameSettings}
           />
@@ -354,12 +423,12 @@ function App() {
             currentQuestion={currentQuestion}
             questionNumber={questionNumber}
             totalQuestions={totalQuestions}
-            questionTimeLimit={questionTimeLimit}
             selectedAnswer={selectedAnswer}
             setSelectedAnswer={setSelectedAnswer}
             answerSubmitted={answerSubmitted}
             setAnswerSubmitted={setAnswerSubmitted}
             answerFeedback={answerFeedback}
+            answerRejection={answerRejection}
             scores={scores}
             username={username}
           />
@@ -1,64 +1,46 @@
-import { useState, useEffect } from 'react';
-import { submitAnswer } from '../utils/socket';
+import { submitAnswer, reportQuestion } from '../utils/socket';
+import { useCountdown } from '../utils/clock';
 import Scoreboard from './Scoreboard';
+import QuestionPanel, { hasSelection } from './QuestionPanel';
+import ReportQuestion from './ReportQuestion';
+import PointsBreakdown from './PointsBreakdown';
 
 /**
  * Game component handles active gameplay:
  * 1. Display current question with code snippet
- * 2. Show multiple choice answers
+ * 2. Show answer input for the question type (choices, multi-select or buggy line)
  * 3. Handle answer selection and submission
- * 4. Show countdown timer
- * 5. Display answer feedback
+ * 4. Show countdown timer (to the server's deadline for the question)
+ * 5. Display answer feedback with its points breakdown, or why an answer didn't count
  * 6. Show live scoreboard
+ * 7. Let players report a broken question
  */
 function Game({
   currentQuestion,
   questionNumber,
   totalQuestions,
-  questionTimeLimit,
   selectedAnswer,
   setSelectedAnswer,
   answerSubmitted,
   setAnswerSubmitted,
   answerFeedback,
+  answerRejection,
   scores,
   username
 }) {
-  const [timeRemaining, setTimeRemaining] = useState(questionTimeLimit);
+  // Counts down to the question's deadline on the server's clock, so it runs out when the server stops
+  // taking answers (a question replayed after rejoining simply has less time left)
+  const timeRemaining = useCountdown(currentQuestion?.deadline);
 
-  // Reset timer when new question arrives
-  useEffect(() => {
-    if (currentQuestion) {
-      setTimeRemaining(questionTimeLimit);
-    }
-  }, [currentQuestion, questionTimeLimit]);
-
-  // Countdown timer
-  useEffect(() => {
-    if (!currentQuestion || answerSubmitted) return;
-
-    const timer = setInterval(() => {
-      setTimeRemaining((prev) => {
-        if (prev <= 1) {
-          clearInterval(timer);
-          return 0;
-        }
-        return prev - 1;
-      });
-    }, 1000);
-
-    return () => clearInterval(timer);
-  }, [currentQuestion, answerSubmitted]);
-
-  // Handle answer selection
-  const handleAnswerClick = (choiceId) => {
+  // Handle answer selection (choice id, list of choice ids or line number)
+  const handleAnswerSelect = (answer) => {
     if (answerSubmitted || timeRemaining === 0) return;
-    setSelectedAnswer(choiceId);
+    setSelectedAnswer(answer);
   };
 
   // Handle answer submission
   const handleSubmitAnswer = () => {
-    if (!selectedAnswer || answerSubmitted) return;
+    if (!hasSelection(selectedAnswer) || answerSubmitted) return;
 
     setAnswerSubmitted(true);
     submitAnswer(selectedAnswer, currentQuestion.id);
@@ -89,56 +71,35 @@ function Game({
             </div>
           </div>
 
-          {/* Code Snippet */}
-          <div className="code-container">
-            <div className="code-label">Find the bug in this code:</div>
-            <pre className="code-block">
-              <code>{currentQuestion.code}</code>
-            </pre>
-          </div>
-
-          {/* Question Text */}
-          <div className="question-text">
-            <h3>{currentQuestion.question}</h3>
-          </div>
-
-          {/* Answer Choices */}
-          <div className="choices-container">
-            {currentQuestion.choices.map((choice) => {
-              const isSelected = selectedAnswer === choice.id;
-              const isCorrect = answerFeedback && choice.id === answerFeedback.correctAnswer;
-              const isWrong = answerFeedback && isSelected && !answerFeedback.correct;
-
-              let choiceClass = 'choice';
-              if (isSelected && !answerSubmitted) choiceClass += ' selected';
-              if (answerSubmitted && isCorrect) choiceClass += ' correct';
-              if (answerSubmitted && isWrong) choiceClass += ' wrong';
-
-              return (
-                <button
-                  key={choice.id}
-                  className={choiceClass}
-                  onClick={() => handleAnswerClick(choice.id)}
-                  disabled={answerSubmitted || timeRemaining === 0}
-                >
-                  <span className="choice-id">{choice.id.toUpperCase()}.</span>
-                  <span className="choice-text">{choice.text}</span>
-                </button>
-              );
-            })}
-          </div>
+          <QuestionPanel
+            question={currentQuestion}
+            selectedAnswer={selectedAnswer}
+            onSelect={handleAnswerSelect}
+            answerSubmitted={answerSubmitted}
+            answerFeedback={answerFeedback}
+            disabled={answerSubmitted || timeRemaining === 0}
+          />
 
           {/* Submit Button */}
           {!answerSubmitted && (
             <button
               className="btn btn-submit"
               onClick={handleSubmitAnswer}
-              disabled={!selectedAnswer || timeRemaining === 0}
+              disabled={!hasSelection(selectedAnswer) || timeRemaining === 0}
             >
               {timeRemaining === 0 ? 'Time Up!' : 'Submit Answer'}
             </button>
           )}
 
+          {/* Answer didn't count */}
+          {answerRejection && !answerFeedback && (
+            <div className="feedback feedback-wrong">
+              <div className="feedback-result">
+                {answerRejection.reason === 'late' ? '⌛' : '🔒'} {answerRejection.message}
+              </div>
+            </div>
+          )}
+
           {/* Answer Feedback */}
           {answerFeedback && (
             <div className={`feedback ${answerFeedback.correct ? 'feedback-correct' : 'feedback-wrong'}`}>
@@ -148,8 +109,11 @@ function Game({
               <div className="feedback-explanation">
                 <strong>Explanation:</strong> {answerFeedback.explanation}
               </div>
+              <PointsBreakdown points={answerFeedback.pointsEarned} breakdown={answerFeedback.pointsBreakdown} />
             </div>
           )}
+
+          <ReportQuestion questionId={currentQuestion.id} onReport={reportQuestion} />
         </div>
 
         {/* Right side - Scoreboard */}
@@ -73,6 +73,9 @@ function GameOver({ finalScores, winner, username, resetToLobby, isPractice }) {
                   <div className="player-name">
                     {player.username}
                     {isCurrentPlayer && <span className="you-badge">YOU</span>}
+                    {player.bestStreak >= 2 && (
+                      <span className="player-streak">🔥 Best streak: {player.bestStreak}</span>
+                    )}
                   </div>
 
                   <div className="player-final-score">{player.score} pts</div>
@@ -1,12 +1,17 @@
 import { useState, useEffect } from 'react';
 import { API_URL } from '../config';
+import LanguageIcon from './LanguageIcon';
 import '../styles/GameSettings.css';
 
 function GameSettings({ onConfirm, onBack, initialSettings = {} }) {
   const [languages, setLanguages] = useState([]);
   const [difficulties, setDifficulties] = useState([]);
+  const [topics, setTopics] = useState([]);
+  const [locales, setLocales] = useState([]);
   const [selectedLanguage, setSelectedLanguage] = useState(initialSettings.language || 'javascript');
   const [selectedDifficulty, setSelectedDifficulty] = useState(initialSettings.difficulty || 'medium');
+  const [selectedTopic, setSelectedTopic] = useState(initialSettings.topic || null);
+  const [selectedLocale, setSelectedLocale] = useState(initialSettings.locale || 'en');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -22,6 +27,8 @@ function GameSettings({ onConfirm, onBack, initialSettings = {} }) {
       if (data.success) {
         setLanguages(data.languages);
         setDifficulties(data.difficulties);
+        setTopics(data.topics || []);
+        setLocales(data.locales || []);
       } else {
         setError('Failed to load settings');
       }
@@ -33,10 +40,32 @@ function GameSettings({ onConfirm, onBack, initialSettings = {} }) {
     }
   };
 
+  // Browser locales like "es-MX" select their base language ("es");
+  // anything the server doesn't support falls back to English
+  const matchesLocale = (localeId) => (
+    selectedLocale === localeId || selectedLocale.split('-')[0] === localeId
+  );
+  const isLocaleSelected = (localeId) => (
+    locales.some(l => matchesLocale(l.id)) ? matchesLocale(localeId) : localeId === 'en'
+  );
+
+  // Topics that have questions in the selected language
+  const languageTopics = topics.filter(topic => topic.languages[selectedLanguage] > 0);
+
+  const handleLanguageSelect = (languageId) => {
+    setSelectedLanguage(languageId);
+    // Drop a topic the new language has no questions for
+    if (selectedTopic && !topics.find(t => t.id === selectedTopic)?.languages[languageId]) {
+      setSelectedTopic(null);
+    }
+  };
+
   const handleConfirm = () => {
     onConfirm({
       language: selectedLanguage,
-      difficulty: selectedDifficulty
+      difficulty: selectedDifficulty,
+      topic: selectedTopic,
+      locale: selectedLocale
     });
   };
 
@@ -77,27 +106,9 @@ function GameSettings({ onConfirm, onBack, initialSettings = {} }) {
               <button
                 key={lang.id}
                 className={`language-option ${selectedLanguage === lang.id ? 'selected' : ''}`}
-                onClick={() => setSelectedLanguage(lang.id)}
+                onClick={() => handleLanguageSelect(lang.id)}
               >
-                <img
-                  src={`/${lang.icon}`}
-                  alt={lang.displayName}
-                  className="language-icon"
-                  onError={(e) => {
-                    console.error(`Failed to load image: /${lang.icon}`);
-                    e.target.style.display = 'none';
-                    e.target.nextSibling.style.display = 'flex';
-                  }}
-                />
-                <span
-                  className="language-icon-fallback"
-                  style={{ display: 'none' }}
-                >
-                  {lang.id === 'javascript' ? '🟨' :
-                   lang.id === 'python' ? '🐍' :
-                   lang.id === 'java' ? '☕' :
-                   lang.id === 'cpp' ? '⚙️' : '💻'}
-                </span>
+                <LanguageIcon language={lang} className="language-icon" fallbackClassName="language-icon-fallback" />
                 <div className="language-info">
                   <span className="language-name">{lang.displayName}</span>
                   <span className="question-count">{lang.questionCount} questions</span>
@@ -126,6 +137,47 @@ function GameSettings({ onConfirm, onBack, initialSettings = {} }) {
           </div>
         </div>
 
+        {languageTopics.length > 0 && (
+          <div className="setting-group">
+            <label>Topic (optional)</label>
+            <div className="topic-options">
+              <button
+                className={`topic-option ${selectedTopic === null ? 'selected' : ''}`}
+                onClick={() => setSelectedTopic(null)}
+              >
+                Any topic
+              </button>
+              {languageTopics.map(topic => (
+                <button
+                  key={topic.id}
+                  className={`topic-option ${selectedTopic === topic.id ? 'selected' : ''}`}
+                  onClick={() => setSelectedTopic(topic.id)}
+                >
+                  {topic.name}
+                  <span className="topic-count">{topic.languages[selectedLanguage]}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {locales.length > 1 && (
+          <div className="setting-group">
+            <label>Question Language</label>
+            <div className="topic-options">
+              {locales.map(locale => (
+                <button
+                  key={locale.id}
+                  className={`topic-option ${isLocaleSelected(locale.id) ? 'selected' : ''}`}
+                  onClick={() => setSelectedLocale(locale.id)}
+                >
+                  {locale.name}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className="settings-actions">
           <button className="btn btn-primary" onClick={handleConfirm}>
             Start Game →
@@ -0,0 +1,28 @@
+import { useState } from 'react';
+import { API_URL } from '../config';
+
+/**
+ * LanguageIcon shows a language pack's icon (served by the backend),
+ * falling back to the pack's emoji when it has no icon or the image fails to load
+ */
+function LanguageIcon({ language, className, fallbackClassName }) {
+  const [failed, setFailed] = useState(false);
+
+  if (!language.iconUrl || failed) {
+    return <span className={fallbackClassName}>{language.emoji}</span>;
+  }
+
+  return (
+    <img
+      src={`${API_URL}${language.iconUrl}`}
+      alt={language.displayName}
+      className={className}
+      onError={() => {
+        console.error(`Failed to load image: ${API_URL}${language.iconUrl}`);
+        setFailed(true);
+      }}
+    />
+  );
+}
+
+export default LanguageIcon;
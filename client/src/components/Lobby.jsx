@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { joinQueue, leaveQueue, onQueueJoined } from '../utils/socket';
 import StripePayment from './StripePayment';
 import GameSettings from './GameSettings';
+import LanguageIcon from './LanguageIcon';
 import { API_URL } from '../config';
 
 /**
@@ -34,6 +35,8 @@ function Lobby({
   const [showStripeCheckout, setShowStripeCheckout] = useState(false);
   const [languageMetadata, setLanguageMetadata] = useState([]);
   const [difficultyMetadata, setDifficultyMetadata] = useState([]);
+  const [scoringMetadata, setScoringMetadata] = useState({});
+  const [topicMetadata, setTopicMetadata] = useState([]);
 
   // Fetch metadata for displaying icons
   useEffect(() => {
@@ -44,6 +47,8 @@ function Lobby({
         if (data.success) {
           setLanguageMetadata(data.languages);
           setDifficultyMetadata(data.difficulties);
+          setScoringMetadata(data.scoring || {});
+          setTopicMetadata(data.topics || []);
         }
       } catch (err) {
         console.error('Error fetching metadata:', err);
@@ -95,8 +100,9 @@ function Lobby({
         setGameState('lobby');
       });
 
-      // Emit join queue event with profileToken, playerId, and preferences
-      joinQueue(username.trim(), profileToken, playerId, gameSettings);
+      // Emit join queue event with profileToken, playerId, preferences and question locale
+      const { locale, ...preferences } = gameSettings;
+      joinQueue(username.trim(), profileToken, playerId, preferences, locale);
     }
   };
 
@@ -183,7 +189,7 @@ function Lobby({
                 if (lang) {
                   return (
                     <>
-                      <img src={`/${lang.icon}`} alt={lang.displayName} className="setting-badge-icon" />
+                      <LanguageIcon language={lang} className="setting-badge-icon" fallbackClassName="setting-badge-emoji" />
                       <span>{lang.displayName}</span>
                     </>
                   );
@@ -205,6 +211,11 @@ function Lobby({
                 return gameSettings.difficulty;
               })()}
             </span>
+            {gameSettings.topic && (
+              <span className="setting-badge">
+                🏷️ {topicMetadata.find(t => t.id === gameSettings.topic)?.name || gameSettings.topic}
+              </span>
+            )}
             <button onClick={() => setGameState('settings')} className="btn-change-settings">
               Change
             </button>
@@ -241,15 +252,15 @@ function Lobby({
               <>
                 <p>🎯 Solo play mode</p>
                 <p>🐛 5 questions per game</p>
-                <p>⏱️ {gameSettings.difficulty === 'easy' ? '60' : gameSettings.difficulty === 'medium' ? '30' : '15'} seconds per question</p>
-                <p>🏆 100 points per correct answer</p>
+                <p>⏱️ {difficultyMetadata.find(d => d.id === gameSettings.difficulty)?.timeLimit ?? 30} seconds per question</p>
+                <p>🏆 {scoringMetadata[gameSettings.difficulty]?.basePoints ?? 100}+ points per correct answer</p>
               </>
             ) : (
               <>
                 <p>🎮 2-4 players per match</p>
                 <p>🐛 5 questions per game</p>
-                <p>⏱️ {gameSettings.difficulty === 'easy' ? '60' : gameSettings.difficulty === 'medium' ? '30' : '15'} seconds per question</p>
-                <p>🏆 100 points per correct answer</p>
+                <p>⏱️ {difficultyMetadata.find(d => d.id === gameSettings.difficulty)?.timeLimit ?? 30} seconds per question</p>
+                <p>🏆 {scoringMetadata[gameSettings.difficulty]?.basePoints ?? 100}+ points per correct answer</p>
               </>
             )}
           </div>
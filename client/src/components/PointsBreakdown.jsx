@@ -0,0 +1,42 @@
+// Signed points for a breakdown row ("+20", "-27")
+const formatPoints = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+/**
+ * PointsBreakdown shows how an answer's points were worked out
+ * Shared by multiplayer (Game, from answer_result) and practice (PracticeGame, from check-answer)
+ *
+ * `breakdown` is the server's pointsBreakdown; its rows add up to `points`.
+ * Nothing is shown for a wrong answer that cost nothing.
+ */
+function PointsBreakdown({ points, breakdown }) {
+  if (!breakdown) return null;
+
+  const rows = [];
+  if (breakdown.wrongAnswerPenalty) {
+    rows.push(['Wrong answer', -breakdown.wrongAnswerPenalty]);
+  } else if (breakdown.basePoints) {
+    rows.push(['Correct answer', breakdown.basePoints]);
+    if (breakdown.speedDeduction) rows.push(['Answer time', -breakdown.speedDeduction]);
+    if (breakdown.firstCorrectBonus) rows.push(['First to get it right', breakdown.firstCorrectBonus]);
+    if (breakdown.streakBonus) rows.push([`Streak ×${breakdown.streakMultiplier}`, breakdown.streakBonus]);
+  }
+
+  if (rows.length === 0) return null;
+
+  return (
+    <div className="points-breakdown">
+      {rows.map(([label, value]) => (
+        <div key={label} className="points-breakdown-row">
+          <span>{label}</span>
+          <span>{formatPoints(value)}</span>
+        </div>
+      ))}
+      <div className="points-breakdown-row points-breakdown-total">
+        <span>Points</span>
+        <span>{formatPoints(points)}</span>
+      </div>
+    </div>
+  );
+}
+
+export default PointsBreakdown;
@@ -1,23 +1,34 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { API_URL } from '../config';
+import QuestionPanel, { hasSelection } from './QuestionPanel';
+import ReportQuestion from './ReportQuestion';
+import LanguageIcon from './LanguageIcon';
+import PointsBreakdown from './PointsBreakdown';
+import { useCountdown } from '../utils/clock';
 
 /**
  * Practice Mode - Single player game
  * No Socket.io, all state managed locally
  * Fetches questions from API, tracks score client-side
  */
-function PracticeGame({ username, onGameEnd, settings = { language: 'javascript', difficulty: 'medium' } }) {
+function PracticeGame({ username, playerId = null, profileToken = null, onGameEnd, settings = { language: 'javascript', difficulty: 'medium' } }) {
   // Practice game state
   const [questions, setQuestions] = useState([]);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
-  const [timeRemaining, setTimeRemaining] = useState(30);
+  const [timeLimit, setTimeLimit] = useState(30); // Seconds per question, from the server based on difficulty
+  const [deadline, setDeadline] = useState(null); // When the current question's time runs out (epoch ms)
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [answerSubmitted, setAnswerSubmitted] = useState(false);
   const [answerFeedback, setAnswerFeedback] = useState(null);
   const [score, setScore] = useState(0);
   const [correctAnswers, setCorrectAnswers] = useState(0);
+  const [streak, setStreak] = useState(0); // Consecutive correct answers (for the streak multiplier)
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [languageInfo, setLanguageInfo] = useState(null);
+  const [difficultyInfo, setDifficultyInfo] = useState(null);
+  const questionStartedAt = useRef(Date.now());
+  const timeRemaining = useCountdown(deadline, Date.now); // Practice is timed locally - no server clock involved
 
   const currentQuestion = questions[currentQuestionIndex];
   const totalQuestions = questions.length;
@@ -28,30 +39,46 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
     fetchQuestions();
   }, []);
 
-  // Timer countdown
+  // Fetch language and difficulty metadata for the badge
   useEffect(() => {
-    if (!currentQuestion || answerSubmitted || loading) return;
-
-    const timer = setInterval(() => {
-      setTimeRemaining((prev) => {
-        if (prev <= 1) {
-          clearInterval(timer);
-          handleTimeout();
-          return 0;
+    const fetchMetadata = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/game/settings`);
+        const data = await response.json();
+        if (data.success) {
+          setLanguageInfo(data.languages.find(l => l.id === settings.language) || null);
+          setDifficultyInfo(data.difficulties.find(d => d.id === settings.difficulty) || null);
         }
-        return prev - 1;
-      });
-    }, 1000);
+      } catch (err) {
+        console.error('Error fetching metadata:', err);
+      }
+    };
+    fetchMetadata();
+  }, [settings.language, settings.difficulty]);
 
-    return () => clearInterval(timer);
-  }, [currentQuestion, answerSubmitted, loading]);
+  // Remember when each question was shown (for the time bonus) and when its time runs out
+  useEffect(() => {
+    if (currentQuestion) {
+      questionStartedAt.current = Date.now();
+      setDeadline(questionStartedAt.current + timeLimit * 1000);
+    }
+  }, [currentQuestion, timeLimit]);
+
+  // Time ran out before an answer was submitted
+  useEffect(() => {
+    if (deadline && timeRemaining === 0 && !answerSubmitted && !loading) {
+      handleTimeout();
+    }
+  }, [deadline, timeRemaining]);
 
   // Fetch questions from API with language and difficulty
   const fetchQuestions = async () => {
     try {
       setLoading(true);
       const response = await fetch(
-        `${API_URL}/api/practice/questions?count=5&language=${settings.language}&difficulty=${settings.difficulty}`
+        `${API_URL}/api/practice/questions?count=5&language=${settings.language}&difficulty=${settings.difficulty}` +
+          (settings.topic ? `&topic=${encodeURIComponent(settings.topic)}` : '') +
+          (settings.locale ? `&locale=${encodeURIComponent(settings.locale)}` : '')
       );
       const data = await response.json();
 
@@ -60,7 +87,7 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
       }
 
       setQuestions(data.questions);
-      setTimeRemaining(data.timeLimit); // Use time limit from server based on difficulty
+      setTimeLimit(data.timeLimit); // Use time limit from server based on difficulty
       setLoading(false);
     } catch (err) {
       console.error('Error fetching questions:', err);
@@ -69,15 +96,25 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
     }
   };
 
-  // Handle answer selection
-  const handleAnswerClick = (choiceId) => {
+  // Handle answer selection (choice id, list of choice ids or line number)
+  const handleAnswerSelect = (answer) => {
     if (answerSubmitted || timeRemaining === 0) return;
-    setSelectedAnswer(choiceId);
+    setSelectedAnswer(answer);
+  };
+
+  // Report a broken question (resolves to the server's { success, error })
+  const handleReportQuestion = async (questionId, reason, details) => {
+    const response = await fetch(`${API_URL}/api/practice/report-question`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ questionId, reason, details, profileToken, locale: settings.locale })
+    });
+    return response.json();
   };
 
   // Submit answer to backend for checking
   const handleSubmitAnswer = async () => {
-    if (!selectedAnswer || answerSubmitted) return;
+    if (!hasSelection(selectedAnswer) || answerSubmitted) return;
 
     setAnswerSubmitted(true);
 
@@ -88,7 +125,12 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
         body: JSON.stringify({
           questionId: currentQuestion.id,
           answerId: selectedAnswer,
-          language: settings.language
+          language: currentQuestion.language || settings.language,
+          difficulty: settings.difficulty, // The time limit responseTime is held to
+          responseTime: Date.now() - questionStartedAt.current,
+          streak,
+          locale: settings.locale,
+          playerId // Lets the server attribute the answer in question analytics
         })
       });
 
@@ -102,12 +144,19 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
       setAnswerFeedback({
         correct: data.correct,
         correctAnswer: data.correctAnswer,
-        explanation: data.explanation
+        explanation: data.explanation,
+        points: data.points,
+        pointsBreakdown: data.pointsBreakdown
       });
 
+      // Points can be negative when the difficulty has a wrong-answer penalty
+      setScore(score + data.points);
+
       if (data.correct) {
-        setScore(score + data.points);
         setCorrectAnswers(correctAnswers + 1);
+        setStreak(streak + 1);
+      } else {
+        setStreak(0);
       }
 
       // Move to next question after delay
@@ -124,6 +173,9 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
   const handleTimeout = () => {
     if (answerSubmitted) return;
 
+    // A missed question breaks the streak
+    setStreak(0);
+
     // Auto-submit or move to next
     setTimeout(() => {
       nextQuestion();
@@ -137,8 +189,8 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
       endGame();
     } else {
       // Next question
+      setDeadline(null);
       setCurrentQuestionIndex(currentQuestionIndex + 1);
-      setTimeRemaining(30);
       setSelectedAnswer(null);
       setAnswerSubmitted(false);
       setAnswerFeedback(null);
@@ -192,7 +244,12 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
         <div className="game-main">
           {/* Practice Mode Badge */}
           <div className="practice-badge">
-            🎯 Practice Mode - {settings.language === 'javascript' ? '🟨 JavaScript' : '🐍 Python'} ({settings.difficulty === 'easy' ? '🟢 Easy' : settings.difficulty === 'medium' ? '🟡 Medium' : '🔴 Hard'})
+            🎯 Practice Mode - {languageInfo ? (
+              <>
+                <LanguageIcon language={languageInfo} className="setting-badge-icon" fallbackClassName="setting-badge-emoji" /> {languageInfo.displayName}
+              </>
+            ) : settings.language}{' '}
+            ({difficultyInfo ? `${difficultyInfo.icon} ${difficultyInfo.name}` : settings.difficulty})
           </div>
 
           {/* Question Header */}
@@ -205,51 +262,21 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
             </div>
           </div>
 
-          {/* Code Snippet */}
-          <div className="code-container">
-            <div className="code-label">Find the bug in this code:</div>
-            <pre className="code-block">
-              <code>{currentQuestion.code}</code>
-            </pre>
-          </div>
-
-          {/* Question Text */}
-          <div className="question-text">
-            <h3>{currentQuestion.question}</h3>
-          </div>
-
-          {/* Answer Choices */}
-          <div className="choices-container">
-            {currentQuestion.choices.map((choice) => {
-              const isSelected = selectedAnswer === choice.id;
-              const isCorrect = answerFeedback && choice.id === answerFeedback.correctAnswer;
-              const isWrong = answerFeedback && isSelected && !answerFeedback.correct;
-
-              let choiceClass = 'choice';
-              if (isSelected && !answerSubmitted) choiceClass += ' selected';
-              if (answerSubmitted && isCorrect) choiceClass += ' correct';
-              if (answerSubmitted && isWrong) choiceClass += ' wrong';
-
-              return (
-                <button
-                  key={choice.id}
-                  className={choiceClass}
-                  onClick={() => handleAnswerClick(choice.id)}
-                  disabled={answerSubmitted || timeRemaining === 0}
-                >
-                  <span className="choice-id">{choice.id.toUpperCase()}.</span>
-                  <span className="choice-text">{choice.text}</span>
-                </button>
-              );
-            })}
-          </div>
+          <QuestionPanel
+            question={currentQuestion}
+            selectedAnswer={selectedAnswer}
+            onSelect={handleAnswerSelect}
+            answerSubmitted={answerSubmitted}
+            answerFeedback={answerFeedback}
+            disabled={answerSubmitted || timeRemaining === 0}
+          />
 
           {/* Submit Button */}
           {!answerSubmitted && (
             <button
               className="btn btn-submit"
               onClick={handleSubmitAnswer}
-              disabled={!selectedAnswer || timeRemaining === 0}
+              disabled={!hasSelection(selectedAnswer) || timeRemaining === 0}
             >
               {timeRemaining === 0 ? 'Time Up!' : 'Submit Answer'}
             </button>
@@ -264,8 +291,11 @@ function PracticeGame({ username, onGameEnd, settings = { language: 'javascript'
               <div className="feedback-explanation">
                 <strong>Explanation:</strong> {answerFeedback.explanation}
               </div>
+              <PointsBreakdown points={answerFeedback.points} breakdown={answerFeedback.pointsBreakdown} />
             </div>
           )}
+
+          <ReportQuestion questionId={currentQuestion.id} onReport={handleReportQuestion} />
         </div>
 
         {/* Sidebar - Score Display */}
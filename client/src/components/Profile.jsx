@@ -277,6 +277,11 @@ function Profile({ playerId, onBack, onUsernameUpdate }) {
               <div className="stat-label">Best Score</div>
             </div>
 
+            <div className="profile-stat-card">
+              <div className="stat-value">{profile.bestStreak}</div>
+              <div className="stat-label">Best Streak</div>
+            </div>
+
             <div className="profile-stat-card">
               <div className="stat-value">{Math.round(profile.avgScore)}</div>
               <div className="stat-label">Avg Score</div>
@@ -0,0 +1,142 @@
+/**
+ * QuestionPanel renders a question's code, prompt and answer input
+ * Shared by multiplayer (Game) and practice (PracticeGame)
+ *
+ * Question types:
+ * - 'single': pick one choice (answer is a choice id)
+ * - 'multi': select all that apply (answer is an array of choice ids)
+ * - 'line': click the buggy line in the code (answer is a 1-based line number)
+ *
+ * Code arrives pre-highlighted from the server as `codeLines`
+ * ([{ number, tokens: [{ type, text }] }]); plain `code` is the fallback.
+ */
+
+// Split raw code into unhighlighted lines (for questions without codeLines)
+const plainCodeLines = (code) => code.split('\n').map((text, index) => ({
+  number: index + 1,
+  tokens: text ? [{ type: 'plain', text }] : []
+}));
+
+// Render one line's tokens (an empty line still needs content to keep its height)
+const renderTokens = (tokens) => (
+  tokens.length === 0 ? ' ' : tokens.map((token, index) => (
+    token.type === 'plain'
+      ? token.text
+      : <span key={index} className={`token-${token.type}`}>{token.text}</span>
+  ))
+);
+
+function QuestionPanel({ question, selectedAnswer, onSelect, answerSubmitted, answerFeedback, disabled }) {
+  const type = question.type || 'single';
+  const codeLines = question.codeLines || plainCodeLines(question.code);
+
+  // Is this choice id / line number part of the revealed correct answer?
+  const isCorrectAnswer = (value) => {
+    if (!answerFeedback) return false;
+    const correct = answerFeedback.correctAnswer;
+    return Array.isArray(correct) ? correct.includes(value) : correct === value;
+  };
+
+  // Is this choice id / line number part of the player's selection?
+  const isSelectedAnswer = (value) => (
+    Array.isArray(selectedAnswer) ? selectedAnswer.includes(value) : selectedAnswer === value
+  );
+
+  const handleChoiceClick = (choiceId) => {
+    if (disabled) return;
+
+    if (type === 'multi') {
+      const current = Array.isArray(selectedAnswer) ? selectedAnswer : [];
+      onSelect(current.includes(choiceId)
+        ? current.filter(id => id !== choiceId)
+        : [...current, choiceId]);
+    } else {
+      onSelect(choiceId);
+    }
+  };
+
+  const handleLineClick = (lineNumber) => {
+    if (disabled) return;
+    onSelect(lineNumber);
+  };
+
+  // Shared class logic for choices and code lines
+  const answerClass = (baseClass, value) => {
+    const isSelected = isSelectedAnswer(value);
+    let className = baseClass;
+    if (isSelected && !answerSubmitted) className += ' selected';
+    if (answerSubmitted && isCorrectAnswer(value)) className += ' correct';
+    if (answerSubmitted && answerFeedback && isSelected && !isCorrectAnswer(value)) className += ' wrong';
+    return className;
+  };
+
+  return (
+    <>
+      {/* Code Snippet */}
+      <div className="code-container">
+        <div className="code-label">
+          {type === 'line' ? 'Click the buggy line:' : 'Find the bug in this code:'}
+          {question.languageName && <span className="code-language">{question.languageName}</span>}
+        </div>
+        {type === 'line' ? (
+          <pre className={`code-block code-block-lines language-${question.syntax || 'plain'}`}>
+            {codeLines.map(line => (
+              <button
+                key={line.number}
+                type="button"
+                className={answerClass('code-line', line.number)}
+                onClick={() => handleLineClick(line.number)}
+                disabled={disabled}
+              >
+                <span className="code-line-number">{line.number}</span>
+                <code>{renderTokens(line.tokens)}</code>
+              </button>
+            ))}
+          </pre>
+        ) : (
+          <pre className={`code-block code-block-numbered language-${question.syntax || 'plain'}`}>
+            {codeLines.map(line => (
+              <div key={line.number} className="code-row">
+                <span className="code-line-number">{line.number}</span>
+                <code>{renderTokens(line.tokens)}</code>
+              </div>
+            ))}
+          </pre>
+        )}
+      </div>
+
+      {/* Question Text */}
+      <div className="question-text">
+        <h3>{question.question}</h3>
+        {type === 'multi' && <p className="question-hint">Select all that apply</p>}
+      </div>
+
+      {/* Answer Choices */}
+      {type !== 'line' && (
+        <div className="choices-container">
+          {question.choices.map((choice, index) => (
+            <button
+              key={choice.id}
+              className={answerClass('choice', choice.id)}
+              onClick={() => handleChoiceClick(choice.id)}
+              disabled={disabled}
+            >
+              {type === 'multi' && (
+                <span className="choice-checkbox">{isSelectedAnswer(choice.id) ? '☑' : '☐'}</span>
+              )}
+              <span className="choice-id">{String.fromCharCode(65 + index)}.</span>
+              <span className="choice-text">{choice.text}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+// Has the player picked something they can submit?
+export const hasSelection = (selectedAnswer) => (
+  Array.isArray(selectedAnswer) ? selectedAnswer.length > 0 : selectedAnswer !== null && selectedAnswer !== undefined
+);
+
+export default QuestionPanel;
@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react';
+
+// Reasons the server accepts, with their labels
+const REPORT_REASONS = [
+  { id: 'wrong_answer', label: 'The marked answer is wrong' },
+  { id: 'ambiguous', label: 'More than one answer could be right' },
+  { id: 'broken_code', label: "The code doesn't compile or run" },
+  { id: 'typo', label: 'Typo or unclear wording' },
+  { id: 'other', label: 'Something else' }
+];
+
+/**
+ * ReportQuestion lets a player flag a wrong or ambiguous question
+ * Shared by multiplayer (Game, over the socket) and practice (PracticeGame, over REST)
+ *
+ * `onReport(questionId, reason, details)` sends the report and resolves to the
+ * server's `{ success, error }`. A form opened for one question keeps reporting
+ * that question even if the game moves on while the player is typing.
+ */
+function ReportQuestion({ questionId, onReport }) {
+  const [reportingId, setReportingId] = useState(null); // Question the open form is about
+  const [reason, setReason] = useState(REPORT_REASONS[0].id);
+  const [details, setDetails] = useState('');
+  const [status, setStatus] = useState(null); // null, 'sending', 'reported' or an error message
+
+  // A new question closes a finished report, but never a form being filled in
+  useEffect(() => {
+    setReportingId(current => (current !== null && status !== 'reported' ? current : null));
+    if (status === 'reported') {
+      setStatus(null);
+    }
+  }, [questionId]);
+
+  const open = () => {
+    setReportingId(questionId);
+    setReason(REPORT_REASONS[0].id);
+    setDetails('');
+    setStatus(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus('sending');
+
+    try {
+      const result = await onReport(reportingId, reason, details.trim());
+      setStatus(result.success ? 'reported' : result.error || 'Failed to send report');
+    } catch (err) {
+      console.error('Error reporting question:', err);
+      setStatus('Failed to send report');
+    }
+  };
+
+  if (status === 'reported') {
+    return <div className="report-question report-question-done">🚩 Reported - thanks for helping fix it!</div>;
+  }
+
+  if (reportingId === null) {
+    return (
+      <button type="button" className="report-question-toggle" onClick={open}>
+        🚩 Report a problem with this question
+      </button>
+    );
+  }
+
+  return (
+    <form className="report-question" onSubmit={handleSubmit}>
+      <select value={reason} onChange={(e) => setReason(e.target.value)} className="report-question-reason">
+        {REPORT_REASONS.map(r => (
+          <option key={r.id} value={r.id}>{r.label}</option>
+        ))}
+      </select>
+      <textarea
+        className="report-question-details"
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        placeholder="What's wrong? (optional)"
+        maxLength={1000}
+        rows={2}
+      />
+      {status && status !== 'sending' && <div className="report-question-error">{status}</div>}
+      <div className="report-question-actions">
+        <button type="submit" className="btn btn-secondary" disabled={status === 'sending'}>
+          {status === 'sending' ? 'Sending...' : 'Send report'}
+        </button>
+        <button type="button" className="report-question-toggle" onClick={() => setReportingId(null)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default ReportQuestion;
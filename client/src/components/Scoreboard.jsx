@@ -1,6 +1,7 @@
 /**
  * Scoreboard component displays live player rankings during game
- * Updates after each question when backend sends 'round_scores' event
+ * Updates after each question when backend sends 'round_scores' event,
+ * with the points each player just earned and their running answer streak
  */
 function Scoreboard({ scores, username }) {
   // Sort scores by score descending
@@ -39,9 +40,21 @@ function Scoreboard({ scores, username }) {
                     {player.username}
                     {isCurrentPlayer && <span className="you-badge">YOU</span>}
                   </div>
+                  {player.streak >= 2 && (
+                    <div className="player-streak">
+                      🔥 {player.streak} in a row{player.streakMultiplier > 1 && ` · ×${player.streakMultiplier}`}
+                    </div>
+                  )}
                 </div>
 
-                <div className="player-score">{player.score}</div>
+                <div className="player-score">
+                  {player.score}
+                  {player.pointsEarned != null && player.pointsEarned !== 0 && (
+                    <span className={`round-points ${player.pointsEarned < 0 ? 'round-points-negative' : ''}`}>
+                      {player.pointsEarned > 0 ? `+${player.pointsEarned}` : player.pointsEarned}
+                    </span>
+                  )}
+                </div>
               </div>
             );
           })}
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+
+// How often countdowns re-read the clock (well under a second, so the display never skips)
+const TICK_MS = 250;
+
+// Server clock minus this browser's clock, and the round trip it was measured over.
+// Set by the clock-sync handshake the server runs on every connect.
+let clockSync = { offset: 0, roundTrip: null };
+
+/**
+ * Store the result of the server's clock-sync handshake
+ * @param {{ offset: number, roundTrip: number }} sync - From the clock_sync event
+ */
+export const setClockSync = ({ offset, roundTrip }) => {
+  clockSync = { offset, roundTrip };
+};
+
+/**
+ * Current time on the server's clock (epoch ms), as best this client can tell
+ * @returns {number}
+ */
+export const serverNow = () => Date.now() + clockSync.offset;
+
+/**
+ * Whole seconds left until `deadline`, re-read from the clock rather than counted down,
+ * so the countdown can't drift from the deadline it shows
+ * @param {number|null} deadline - Epoch ms on the clock `now` reads
+ * @param {Function} now - Clock to count against (server deadlines use serverNow)
+ * @returns {number} Seconds remaining, 0 once the deadline passed (or there is none)
+ */
+export const useCountdown = (deadline, now = serverNow) => {
+  const [, setTick] = useState(0);
+  const secondsLeft = () => (deadline ? Math.max(0, Math.ceil((deadline - now()) / 1000)) : 0);
+
+  // Re-render every tick until the deadline passes; the time itself is read during render
+  useEffect(() => {
+    if (!deadline) return;
+
+    const timer = setInterval(() => {
+      setTick((tick) => tick + 1);
+      if (secondsLeft() === 0) {
+        clearInterval(timer);
+      }
+    }, TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [deadline, now]);
+
+  return secondsLeft();
+};
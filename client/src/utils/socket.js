@@ -1,4 +1,5 @@
 import { io } from 'socket.io-client';
+import { setClockSync } from './clock';
 
 // Initialize socket connection to backend
 // Use VITE_API_URL environment variable or fallback to localhost
@@ -18,6 +19,16 @@ export const getSocket = () => {
       reconnectionDelay: 1000,
       reconnectionAttempts: 5
     });
+
+    // Clock-sync handshake: the server pings on every connect, measures the round trip
+    // and sends back how far this browser's clock is from its own
+    socket.on('clock_ping', (data, ack) => {
+      ack({ clientTime: Date.now() });
+    });
+    socket.on('clock_sync', (data) => {
+      console.log(`Clock synced: offset ${data.offset}ms, round trip ${data.roundTrip}ms`);
+      setClockSync(data);
+    });
   }
   return socket;
 };
@@ -48,9 +59,9 @@ export const disconnectSocket = () => {
  */
 
 // Join matchmaking queue with preferences
-export const joinQueue = (username, profileToken = null, playerId = null, preferences = null) => {
+export const joinQueue = (username, profileToken = null, playerId = null, preferences = null, locale = null) => {
   const socket = getSocket();
-  socket.emit('join_queue', { username, profileToken, playerId, preferences });
+  socket.emit('join_queue', { username, profileToken, playerId, preferences, locale });
 };
 
 // Leave matchmaking queue
@@ -65,6 +76,25 @@ export const submitAnswer = (answerId, questionId) => {
   socket.emit('submit_answer', { answerId, questionId });
 };
 
+// Report a wrong or ambiguous question from the current match.
+// Resolves to the server's { success, message } or { success: false, error }.
+export const reportQuestion = (questionId, reason, details) => {
+  const socket = getSocket();
+  return new Promise((resolve) => {
+    socket.emit('report_question', { questionId, reason, details }, resolve);
+  });
+};
+
+// Come back to a match after the connection dropped (or the page was reloaded).
+// rejoinToken comes from match_found; a profile token is checked too when there is one.
+// Resolves to the server's { success, match } or { success: false, error }.
+export const rejoinMatch = (playerId, rejoinToken, profileToken = null) => {
+  const socket = getSocket();
+  return new Promise((resolve) => {
+    socket.emit('rejoin_match', { playerId, rejoinToken, profileToken }, resolve);
+  });
+};
+
 /**
  * SERVER → CLIENT EVENT LISTENERS
  * Register callbacks for backend events
@@ -94,12 +124,24 @@ export const onQuestion = (callback) => {
   socket.on('question', callback);
 };
 
+// Match couldn't start - back to the queue screen
+export const onMatchFailed = (callback) => {
+  const socket = getSocket();
+  socket.on('match_failed', callback);
+};
+
 // Answer result feedback
 export const onAnswerResult = (callback) => {
   const socket = getSocket();
   socket.on('answer_result', callback);
 };
 
+// Answer didn't count (reason: late - it arrived after the deadline, closed - the question was over)
+export const onAnswerRejected = (callback) => {
+  const socket = getSocket();
+  socket.on('answer_rejected', callback);
+};
+
 // Round scores update (leaderboard)
 export const onRoundScores = (callback) => {
   const socket = getSocket();
@@ -0,0 +1,30 @@
+-- Migration: Add Questions Table
+-- Purpose: Store the question bank in Postgres as an alternative to the JSON files
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Questions Table
+-- =======================
+-- One row per question in the canonical question format used by QuestionService
+CREATE TABLE IF NOT EXISTS questions (
+    id VARCHAR(50) PRIMARY KEY,
+    language VARCHAR(20) NOT NULL,
+    difficulty VARCHAR(20) NOT NULL DEFAULT 'medium' CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    code TEXT NOT NULL,
+    question TEXT NOT NULL,
+    choices JSONB NOT NULL, -- [{ "id": "a", "text": "..." }, ...]
+    correct_answer VARCHAR(50) NOT NULL,
+    explanation TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Index for loading a language's active questions
+CREATE INDEX IF NOT EXISTS idx_questions_language ON questions(language, difficulty) WHERE is_active = TRUE;
+
+-- =======================
+-- 2. Comments
+-- =======================
+COMMENT ON TABLE questions IS 'Question bank used when QUESTION_SOURCE=database (seed with scripts/import-questions.js)';
+COMMENT ON COLUMN questions.is_active IS 'FALSE hides the question from matches without deleting it';
@@ -0,0 +1,27 @@
+-- Migration: Add Question Types
+-- Purpose: Support multi-select and find-the-line questions in the questions table
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Question Type
+-- =======================
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS type VARCHAR(20) NOT NULL DEFAULT 'single';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'questions_type_check') THEN
+        ALTER TABLE questions ADD CONSTRAINT questions_type_check CHECK (type IN ('single', 'multi', 'line'));
+    END IF;
+END $$;
+
+-- =======================
+-- 2. Correct Answer as JSON
+-- =======================
+-- single: "a", multi: ["a", "c"], line: 3
+ALTER TABLE questions ALTER COLUMN correct_answer TYPE JSONB USING to_jsonb(correct_answer);
+
+-- =======================
+-- 3. Comments
+-- =======================
+COMMENT ON COLUMN questions.type IS 'single (one choice), multi (select all that apply) or line (click the buggy line)';
+COMMENT ON COLUMN questions.correct_answer IS 'Choice id, array of choice ids, or 1-based line number depending on type';
@@ -0,0 +1,18 @@
+-- Migration: Add Question Tags
+-- Purpose: Tag questions by topic (e.g. off-by-one, null-handling) so matches can be filtered by topic
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Tags Column
+-- =======================
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+-- =======================
+-- 2. Indexes
+-- =======================
+CREATE INDEX IF NOT EXISTS idx_questions_tags ON questions USING GIN (tags);
+
+-- =======================
+-- 3. Comments
+-- =======================
+COMMENT ON COLUMN questions.tags IS 'Lowercase kebab-case topic tags; display names live in question-metadata.json topics';
@@ -0,0 +1,14 @@
+-- Migration: Add Question Translations
+-- Purpose: Store translated question text, choices and explanations alongside the English originals
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Translations Column
+-- =======================
+-- { "es": { "question": "...", "choices": { "a": "..." }, "explanation": "..." } }
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}';
+
+-- =======================
+-- 2. Comments
+-- =======================
+COMMENT ON COLUMN questions.translations IS 'Per-locale overrides of question, choice text and explanation; missing fields fall back to English';
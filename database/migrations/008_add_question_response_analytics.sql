@@ -0,0 +1,34 @@
+-- Migration: Question Response Analytics
+-- Purpose: Record every human answer (multiplayer and practice) for per-question stats
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Answer Column
+-- =======================
+-- Multi-select answers are stored as sorted, comma-separated choice ids ("a,c")
+-- and find-the-line answers as the line number ("3"), so 10 characters is too short
+ALTER TABLE question_responses ALTER COLUMN answer_id TYPE VARCHAR(100);
+
+-- =======================
+-- 2. Response Context
+-- =======================
+ALTER TABLE question_responses ADD COLUMN IF NOT EXISTS language VARCHAR(20);
+ALTER TABLE question_responses ADD COLUMN IF NOT EXISTS mode VARCHAR(20) NOT NULL DEFAULT 'multiplayer';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'question_responses_mode_check') THEN
+        ALTER TABLE question_responses ADD CONSTRAINT question_responses_mode_check CHECK (mode IN ('multiplayer', 'practice'));
+    END IF;
+END $$;
+
+-- =======================
+-- 3. Indexes
+-- =======================
+CREATE INDEX IF NOT EXISTS idx_question_responses_question ON question_responses(question_id);
+
+-- =======================
+-- 4. Comments
+-- =======================
+COMMENT ON COLUMN question_responses.answer_id IS 'Choice id, sorted comma-separated choice ids (multi) or line number (line)';
+COMMENT ON COLUMN question_responses.mode IS 'multiplayer (match_id set) or practice (match_id NULL)';
@@ -0,0 +1,25 @@
+-- Migration: Question Difficulty Calibration
+-- Purpose: Store the empirical difficulty of each question measured from question_responses
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Calibration Table
+-- =======================
+CREATE TABLE IF NOT EXISTS question_calibration (
+    question_id VARCHAR(50) PRIMARY KEY,
+    difficulty_rating NUMERIC(4, 3) NOT NULL CHECK (difficulty_rating BETWEEN 0 AND 1),
+    measured_difficulty VARCHAR(20) NOT NULL,
+    response_count INTEGER NOT NULL,
+    solve_rate NUMERIC(4, 3) NOT NULL,
+    adjusted_solve_rate NUMERIC(4, 3) NOT NULL,
+    median_response_time_ms INTEGER,
+    calibrated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- =======================
+-- 2. Comments
+-- =======================
+COMMENT ON TABLE question_calibration IS 'Written by the difficulty calibration job (npm run calibrate:questions)';
+COMMENT ON COLUMN question_calibration.difficulty_rating IS '0 (trivial) to 1 (hardest), from skill-adjusted solve rate and response time';
+COMMENT ON COLUMN question_calibration.measured_difficulty IS 'Difficulty tier the rating falls in; used instead of the authored label when selecting questions';
+COMMENT ON COLUMN question_calibration.adjusted_solve_rate IS 'Solve rate corrected for the skill of the players who answered';
@@ -0,0 +1,45 @@
+-- Migration: Question Authoring Workflow
+-- Purpose: Draft / in review / published / retired states for questions and an audit trail of every edit
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Question Status
+-- =======================
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'questions_status_check') THEN
+        ALTER TABLE questions ADD CONSTRAINT questions_status_check CHECK (status IN ('draft', 'in_review', 'published', 'retired'));
+    END IF;
+END $$;
+
+-- Status replaces is_active: questions hidden before this migration count as retired
+UPDATE questions SET status = 'retired' WHERE is_active = FALSE AND status = 'published';
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS created_by VARCHAR(100);
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS updated_by VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_questions_status ON questions(status, language);
+
+-- =======================
+-- 2. Audit Trail
+-- =======================
+CREATE TABLE IF NOT EXISTS question_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    question_id VARCHAR(50) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'status')),
+    actor VARCHAR(100) NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}', -- { "field": { "from": ..., "to": ... } }
+    note TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_audit_log_question ON question_audit_log(question_id, created_at DESC);
+
+-- =======================
+-- 3. Comments
+-- =======================
+COMMENT ON COLUMN questions.status IS 'draft -> in_review -> published -> retired; only published questions are dealt';
+COMMENT ON COLUMN questions.is_active IS 'Superseded by status (kept for older deployments)';
+COMMENT ON TABLE question_audit_log IS 'Who created, edited or changed the status of a question, and what changed';
@@ -0,0 +1,45 @@
+-- Migration: Question Reports
+-- Purpose: Let players report wrong or ambiguous questions, and take heavily reported questions out of rotation until reviewed
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Reports
+-- =======================
+CREATE TABLE IF NOT EXISTS question_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    question_id VARCHAR(50) NOT NULL,
+    player_id UUID REFERENCES players(id) ON DELETE SET NULL,
+    match_id UUID, -- No foreign key: matches are only saved once they finish
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('wrong_answer', 'ambiguous', 'broken_code', 'typo', 'other')),
+    details TEXT,
+    mode VARCHAR(20) NOT NULL CHECK (mode IN ('multiplayer', 'practice')),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    resolved_by VARCHAR(100),
+    resolution_note TEXT,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- A player has at most one open report per question
+CREATE UNIQUE INDEX IF NOT EXISTS idx_question_reports_open_player
+    ON question_reports(question_id, player_id)
+    WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_question_reports_question ON question_reports(question_id, status);
+
+-- =======================
+-- 2. Flagged Questions
+-- =======================
+CREATE TABLE IF NOT EXISTS flagged_questions (
+    question_id VARCHAR(50) PRIMARY KEY,
+    report_count INTEGER NOT NULL,
+    flagged_at TIMESTAMP DEFAULT NOW()
+);
+
+-- =======================
+-- 3. Comments
+-- =======================
+COMMENT ON TABLE question_reports IS 'Player reports of wrong or ambiguous questions; open until an admin reviews them';
+COMMENT ON COLUMN question_reports.player_id IS 'Reporting player (NULL for anonymous practice players)';
+COMMENT ON TABLE flagged_questions IS 'Questions taken out of rotation after too many reports, until an admin reviews them';
+COMMENT ON COLUMN flagged_questions.report_count IS 'Players with an open report when the question was flagged';
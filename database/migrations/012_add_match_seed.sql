@@ -0,0 +1,15 @@
+-- Migration: Seeded Match Question Selection
+-- Purpose: Store each match's seed and the inputs of its question draw so the questions can be dealt again
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Selection Columns
+-- =======================
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS seed BIGINT CHECK (seed >= 0 AND seed < 4294967296);
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS question_selection JSONB;
+
+-- =======================
+-- 2. Comments
+-- =======================
+COMMENT ON COLUMN matches.seed IS 'Unsigned 32-bit seed of the weighted question draw (NULL for matches saved before seeding)';
+COMMENT ON COLUMN matches.question_selection IS 'Draw inputs and result: { seed, language, difficulty, topic, playerIds, selectedAt, questionIds }';
@@ -0,0 +1,79 @@
+-- Migration: Answer Streaks
+-- Purpose: Keep each player's longest run of correct answers per match, and their best streak ever on their profile
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Streak Columns
+-- =======================
+ALTER TABLE match_players ADD COLUMN IF NOT EXISTS best_streak INTEGER NOT NULL DEFAULT 0 CHECK (best_streak >= 0);
+ALTER TABLE players ADD COLUMN IF NOT EXISTS best_streak INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN match_players.best_streak IS 'Most consecutive correct answers the player gave in this match';
+COMMENT ON COLUMN players.best_streak IS 'Most consecutive correct answers in any completed match (paid users only, see update_player_profile_stats)';
+
+-- =======================
+-- 2. Stats Update - Best Streak
+-- =======================
+-- Same as in 002_add_payment_gating.sql, plus the best streak across the player's matches
+CREATE OR REPLACE FUNCTION update_player_profile_stats(p_player_id UUID) RETURNS void AS $$
+DECLARE
+    v_total_matches INTEGER;
+    v_wins INTEGER;
+    v_total_score INTEGER;
+    v_best_score INTEGER;
+    v_avg_score DECIMAL(10,2);
+    v_rank_badge VARCHAR(20);
+    v_last_played TIMESTAMP;
+    v_best_streak INTEGER;
+    v_has_paid BOOLEAN;
+BEGIN
+    -- Check if user has paid
+    SELECT has_paid INTO v_has_paid
+    FROM players
+    WHERE id = p_player_id;
+
+    -- Only update stats for paid users
+    IF v_has_paid IS NULL OR v_has_paid = FALSE THEN
+        RETURN;
+    END IF;
+
+    -- Calculate aggregate stats from match_players
+    SELECT
+        COUNT(DISTINCT match_id),
+        COUNT(CASE WHEN rank = 1 THEN 1 END),
+        COALESCE(SUM(final_score), 0),
+        COALESCE(MAX(final_score), 0),
+        COALESCE(AVG(final_score), 0),
+        MAX(matches.ended_at),
+        COALESCE(MAX(match_players.best_streak), 0)
+    INTO
+        v_total_matches,
+        v_wins,
+        v_total_score,
+        v_best_score,
+        v_avg_score,
+        v_last_played,
+        v_best_streak
+    FROM match_players
+    JOIN matches ON match_players.match_id = matches.id
+    WHERE match_players.player_id = p_player_id
+      AND matches.status = 'completed';
+
+    -- Calculate rank badge
+    v_rank_badge := calculate_rank_badge(v_total_score);
+
+    -- Update player profile
+    UPDATE players
+    SET
+        total_matches = v_total_matches,
+        wins = v_wins,
+        total_score = v_total_score,
+        best_score = v_best_score,
+        avg_score = v_avg_score,
+        rank_badge = v_rank_badge,
+        last_played_at = v_last_played,
+        best_streak = v_best_streak,
+        updated_at = NOW()
+    WHERE id = p_player_id;
+END;
+$$ LANGUAGE plpgsql;
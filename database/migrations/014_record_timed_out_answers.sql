@@ -0,0 +1,15 @@
+-- Migration: Timed-Out Answers
+-- Purpose: Record match rounds a player let run out, so calibration counts the questions people fail to answer in time
+-- Date: 2026-10-19
+
+-- =======================
+-- 1. Answer Column
+-- =======================
+-- A timed-out round has no answer: answer_id is NULL, is_correct FALSE and
+-- response_time_ms the question's full time limit
+ALTER TABLE question_responses ALTER COLUMN answer_id DROP NOT NULL;
+
+-- =======================
+-- 2. Comments
+-- =======================
+COMMENT ON COLUMN question_responses.answer_id IS 'Choice id, sorted comma-separated choice ids (multi) or line number (line); NULL if the time ran out first';
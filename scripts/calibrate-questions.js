@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Calibrate question difficulty from real answer data
+ *
+ * Rates every question with enough answers in question_responses, saves the
+ * result to question_calibration (migration 009_add_question_calibration.sql)
+ * and prints the questions whose authored difficulty disagrees with the
+ * measured one. Running servers pick up new ratings on their next question
+ * reload (POST /api/admin/questions/reload).
+ *
+ * Usage: node scripts/calibrate-questions.js [--dry-run]
+ */
+require('dotenv').config();
+const questionService = require('../src/services/QuestionService');
+const calibrationService = require('../src/services/CalibrationService');
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+async function calibrateQuestions() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await questionService.loadQuestions();
+
+    console.log(`\n🔄 Calibrating question difficulty${dryRun ? ' (dry run, nothing is saved)' : ''}...`);
+    const report = await calibrationService.calibrate({ dryRun });
+
+    console.log(`   ✓ Calibrated ${report.calibrated} questions`);
+    console.log(`   - ${report.skipped.notEnoughResponses} skipped with fewer than ${report.minResponses} answers`);
+    console.log(`   - ${report.skipped.unknownQuestions} skipped that are no longer in the question bank`);
+
+    if (report.mislabeled.length === 0) {
+      console.log('\n✅ Every calibrated question matches its difficulty label');
+    } else {
+      console.log(`\n⚠️  ${report.mislabeled.length} question(s) disagree with their label:\n`);
+      report.mislabeled.forEach(c => {
+        console.log(
+          `  - ${c.questionId} (${c.language}): labelled ${c.labeledDifficulty}, measured ${c.measuredDifficulty} ` +
+          `(rating ${c.difficultyRating}, ${c.responseCount} answers, solve rate ${percent(c.solveRate)}, ` +
+          `skill-adjusted ${percent(c.adjustedSolveRate)}, median ${c.medianResponseTimeMs ?? '?'}ms)`
+        );
+      });
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Calibration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+calibrateQuestions();
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Import bug-hunt questions written in Markdown into the question bank
+ *
+ * Reads every .md file in a folder (one question per file, format described
+ * in src/utils/markdownQuestion.js), converts it to the choice format and
+ * adds it to its language's question file in src/data/questions/ - or
+ * replaces the question with the same id, keeping its translations and
+ * runtime check (`verify`).
+ *
+ * Nothing is written unless every file is valid; problems are printed as
+ * file:line: message. Without --write the import is only checked.
+ *
+ * Usage: node scripts/import-markdown-questions.js <folder> [--write] [--language <id>]
+ *   --language  language for code blocks without an info string
+ */
+const fs = require('fs');
+const path = require('path');
+const { normalizeQuestion } = require('../src/utils/questionSchema');
+const { parseMarkdownQuestion } = require('../src/utils/markdownQuestion');
+const { loadLanguagePacks, getLanguageNames } = require('../src/utils/languagePacks');
+
+const DATA_DIR = path.join(__dirname, '../src/data');
+const QUESTIONS_DIR = path.join(DATA_DIR, 'questions');
+const METADATA_PATH = path.join(DATA_DIR, 'question-metadata.json');
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeJson(filePath, value) {
+  fs.writeFileSync(filePath, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+function parseArgs(argv) {
+  const args = { folder: null, write: false, language: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--write') {
+      args.write = true;
+    } else if (argv[i] === '--language') {
+      args.language = argv[++i] || null;
+    } else if (!args.folder) {
+      args.folder = argv[i];
+    }
+  }
+  return args;
+}
+
+function importMarkdownQuestions() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.folder) {
+    console.error('Usage: node scripts/import-markdown-questions.js <folder> [--write] [--language <id>]');
+    process.exit(1);
+  }
+
+  const folder = path.resolve(args.folder);
+  if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+    console.error(`❌ ${args.folder} is not a folder`);
+    process.exit(1);
+  }
+
+  const metadata = readJson(METADATA_PATH);
+  const languagePacks = loadLanguagePacks();
+  const languageNames = getLanguageNames(languagePacks);
+  const topics = (metadata.topics || []).map(t => t.id);
+
+  const defaultLanguage = args.language && languageNames.get(args.language.toLowerCase());
+  if (args.language && !defaultLanguage) {
+    console.error(`❌ Unknown language "${args.language}" (expected ${languagePacks.map(l => l.id).join(', ')})`);
+    process.exit(1);
+  }
+
+  // Current bank, so imports can replace questions and ids stay unique
+  const questionFiles = new Map(languagePacks.map(pack => [pack.id, pack.questionFile]));
+  const bank = new Map(); // language -> questions
+  const idLanguages = new Map(); // question id -> language
+  languagePacks.forEach(({ id: language, questionFile }) => {
+    const filePath = path.join(QUESTIONS_DIR, questionFile);
+    const questions = fs.existsSync(filePath) ? readJson(filePath) : [];
+    bank.set(language, questions);
+    questions.forEach(q => idLanguages.set(q.id, language));
+  });
+
+  const files = fs.readdirSync(folder).filter(f => f.endsWith('.md')).sort();
+  console.log(`🔍 Reading ${files.length} Markdown file(s) from ${path.relative(process.cwd(), folder) || '.'}\n`);
+
+  const problems = [];
+  const imported = []; // { file, language, question }
+  const importedIds = new Map(); // question id -> file
+
+  files.forEach(fileName => {
+    const file = path.relative(process.cwd(), path.join(folder, fileName));
+    const text = fs.readFileSync(path.join(folder, fileName), 'utf8');
+    const { question, language, errors } = parseMarkdownQuestion(text, {
+      defaultId: path.basename(fileName, '.md'),
+      languages: languageNames,
+      topics,
+      language: defaultLanguage
+    });
+
+    if (errors.length > 0) {
+      errors.forEach(error => problems.push(`${file}:${error.line}: ${error.message}`));
+      return;
+    }
+
+    if (importedIds.has(question.id)) {
+      problems.push(`${file}: question id "${question.id}" is also used by ${importedIds.get(question.id)}`);
+      return;
+    }
+    importedIds.set(question.id, file);
+
+    const existingLanguage = idLanguages.get(question.id);
+    if (existingLanguage && existingLanguage !== language) {
+      problems.push(`${file}: question id "${question.id}" is already used in questions/${questionFiles.get(existingLanguage)}`);
+      return;
+    }
+
+    // Keep translations and the runtime check of a question that is being replaced
+    const existing = existingLanguage && bank.get(language).find(q => q.id === question.id);
+    if (existing && existing.translations) {
+      question.translations = existing.translations;
+    }
+    if (existing && existing.verify) {
+      question.verify = existing.verify;
+    }
+
+    try {
+      normalizeQuestion(question, { file, language });
+    } catch (error) {
+      problems.push(error.message);
+      return;
+    }
+
+    imported.push({ file, language, question, replaces: Boolean(existing) });
+  });
+
+  if (problems.length > 0) {
+    console.error(`❌ Found ${problems.length} problem(s), nothing was imported:\n`);
+    problems.forEach(problem => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+
+  imported.forEach(({ file, language, question, replaces }) => {
+    console.log(`   ${replaces ? '↻' : '+'} ${question.id} (${language}) from ${file}`);
+  });
+
+  if (!args.write) {
+    console.log(`\n✅ ${imported.length} question(s) are valid. Re-run with --write to add them to the bank.`);
+    return;
+  }
+
+  const changedLanguages = new Set();
+  imported.forEach(({ language, question }) => {
+    const questions = bank.get(language);
+    const index = questions.findIndex(q => q.id === question.id);
+    if (index === -1) {
+      questions.push(question);
+    } else {
+      questions[index] = question;
+    }
+    changedLanguages.add(language);
+  });
+
+  changedLanguages.forEach(language => {
+    writeJson(path.join(QUESTIONS_DIR, questionFiles.get(language)), bank.get(language));
+  });
+
+  console.log(`\n✅ Imported ${imported.length} question(s) into ${[...changedLanguages].map(l => `questions/${questionFiles.get(l)}`).join(', ')}`);
+}
+
+importMarkdownQuestions();
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Seed the Postgres `questions` table from the JSON question bank
+ *
+ * Every language pack's question file (src/data/languages/) is validated and upserted,
+ * so the script can be re-run after editing the JSON files.
+ * Requires migrations 004_add_questions_table.sql through 010_add_question_authoring.sql.
+ * A question's status is only set when it is first imported, so re-running
+ * the import never re-publishes a question retired through the authoring API.
+ *
+ * Usage: node scripts/import-questions.js
+ */
+require('dotenv').config();
+const { Pool } = require('pg');
+const { FileQuestionSource } = require('../src/services/questionSources');
+const { loadLanguagePacks } = require('../src/utils/languagePacks');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+async function importQuestions() {
+  const languagePacks = loadLanguagePacks();
+
+  console.log(`🔄 Importing questions for: ${languagePacks.map(l => l.id).join(', ')}`);
+
+  const client = await pool.connect();
+  try {
+    // Validate everything before writing anything
+    const questionsByLanguage = await new FileQuestionSource().loadQuestions(languagePacks);
+
+    await client.query('BEGIN');
+
+    let imported = 0;
+    for (const [language, questions] of questionsByLanguage) {
+      for (const q of questions) {
+        await client.query(
+          `INSERT INTO questions (id, language, type, difficulty, tags, code, question, choices, correct_answer, explanation, translations, status)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+           ON CONFLICT (id) DO UPDATE SET
+             language = EXCLUDED.language,
+             type = EXCLUDED.type,
+             difficulty = EXCLUDED.difficulty,
+             tags = EXCLUDED.tags,
+             code = EXCLUDED.code,
+             question = EXCLUDED.question,
+             choices = EXCLUDED.choices,
+             correct_answer = EXCLUDED.correct_answer,
+             explanation = EXCLUDED.explanation,
+             translations = EXCLUDED.translations,
+             updated_at = NOW()`,
+          [q.id, language, q.type, q.difficulty, q.tags, q.code, q.question, JSON.stringify(q.choices), JSON.stringify(q.correctAnswer), q.explanation, JSON.stringify(q.translations), q.status]
+        );
+      }
+      imported += questions.length;
+      console.log(`   ✓ ${language}: ${questions.length} questions`);
+    }
+
+    await client.query('COMMIT');
+    console.log(`✅ Imported ${imported} questions`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+importQuestions();
@@ -0,0 +1,64 @@
+/**
+ * Sandboxed JavaScript runner for scripts/verify-questions.js
+ *
+ * Reads { source, timeoutMs } as JSON from stdin, runs the source in a fresh
+ * vm context that only has console and timers (no require, process or
+ * globalThis of this process), and writes { output, error } as JSON to stdout:
+ *   output - everything the source printed with console.*, one line per call
+ *   error  - { name, message } of the first uncaught error, or null
+ *
+ * Like Node itself, the first uncaught error (sync, in a timer or an unhandled
+ * rejection) ends the run. The parent starts this process with Node's
+ * permission model enabled, so the source can't touch the file system or
+ * spawn processes even if it escapes the vm context.
+ */
+const vm = require('vm');
+const util = require('util');
+
+const output = [];
+let finished = false;
+
+function describeError(error) {
+  if (error && typeof error === 'object' && 'name' in error) {
+    return { name: String(error.name), message: String(error.message) };
+  }
+  return { name: typeof error, message: String(error) };
+}
+
+function finish(error = null) {
+  if (finished) {
+    return;
+  }
+  finished = true;
+  process.stdout.write(JSON.stringify({ output: output.join('\n'), error: error && describeError(error) }));
+  process.exit(0);
+}
+
+function run({ source, timeoutMs }) {
+  const print = (...args) => output.push(util.format(...args));
+  const sandbox = {
+    console: { log: print, info: print, warn: print, error: print, debug: print },
+    setTimeout: (callback, delay, ...args) => setTimeout(() => callback(...args), delay),
+    clearTimeout,
+    setInterval: (callback, delay, ...args) => setInterval(() => callback(...args), delay),
+    clearInterval,
+    queueMicrotask
+  };
+
+  process.on('uncaughtException', finish);
+  process.on('unhandledRejection', finish);
+  process.on('beforeExit', () => finish());
+
+  try {
+    vm.runInNewContext(source, vm.createContext(sandbox), { filename: 'question.js', timeout: timeoutMs });
+  } catch (error) {
+    finish(error);
+  }
+}
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+  input += chunk;
+});
+process.stdin.on('end', () => run(JSON.parse(input)));
@@ -0,0 +1,66 @@
+"""
+Sandboxed Python runner for scripts/verify-questions.js
+
+Reads {"source", "timeoutMs"} as JSON from stdin, runs the source as
+__main__ and writes {"output", "error"} as JSON to stdout:
+  output - the printed text (without the final newline)
+  error  - {"name", "message"} of the exception that ended the run, or null
+
+The parent starts this in isolated mode (python3 -I) with an empty
+environment. Before the source runs, CPU time and memory are capped and an
+audit hook refuses file writes, processes, sockets and native code.
+"""
+import io
+import json
+import sys
+
+BLOCKED_EVENTS = (
+    'os.system', 'os.exec', 'os.posix_spawn', 'os.spawn', 'os.fork', 'os.forkpty', 'os.kill',
+    'os.remove', 'os.unlink', 'os.rmdir', 'os.rename', 'os.mkdir', 'os.chmod', 'os.chown',
+    'os.truncate', 'os.symlink', 'os.link', 'shutil.', 'subprocess.', 'socket.', 'ctypes.',
+    'urllib.', 'http.', 'ftplib.', 'smtplib.', 'webbrowser.', 'winreg.',
+)
+
+WRITE_MODES = set('wax+')
+
+
+def audit(event, args):
+    if event.startswith(BLOCKED_EVENTS):
+        raise PermissionError(f'{event} is not allowed while verifying questions')
+    if event == 'open' and len(args) > 1 and isinstance(args[1], str) and WRITE_MODES & set(args[1]):
+        raise PermissionError('writing files is not allowed while verifying questions')
+
+
+def limit_resources(timeout_ms):
+    try:
+        import resource
+    except ImportError:
+        return
+    seconds = max(1, -(-timeout_ms // 1000))
+    resource.setrlimit(resource.RLIMIT_CPU, (seconds, seconds))
+    resource.setrlimit(resource.RLIMIT_AS, (256 * 1024 * 1024, 256 * 1024 * 1024))
+
+
+def main():
+    request = json.loads(sys.stdin.read())
+    limit_resources(request['timeoutMs'])
+
+    real_stdout = sys.stdout
+    captured = io.StringIO()
+    error = None
+
+    sys.addaudithook(audit)
+    sys.stdout = captured
+    try:
+        exec(compile(request['source'], 'question.py', 'exec'), {'__name__': '__main__', '__builtins__': __builtins__})
+    except BaseException as exc:  # Every exception (even SystemExit) is a result
+        error = {'name': type(exc).__name__, 'message': str(exc)}
+    finally:
+        sys.stdout = real_stdout
+
+    text = captured.getvalue()
+    output = text[:-1] if text.endswith('\n') else text
+    real_stdout.write(json.dumps({'output': output, 'error': error}))
+
+
+main()
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Validate the question bank under src/data/questions/
+ *
+ * Checks the language packs (src/data/languages/), every language's question
+ * file against the question schema, looks for duplicate question ids across
+ * files and makes sure every question file belongs to a language pack,
+ * every tag is declared under `topics` in question-metadata.json and every
+ * translation is for a locale the server has a message catalog for
+ * (src/data/locales/).
+ *
+ * Usage: node scripts/validate-questions.js
+ * Exits with code 1 if any problem is found.
+ */
+const fs = require('fs');
+const path = require('path');
+const { normalizeQuestion } = require('../src/utils/questionSchema');
+const { isSupportedLocale } = require('../src/utils/i18n');
+const { loadLanguagePacks } = require('../src/utils/languagePacks');
+
+const DATA_DIR = path.join(__dirname, '../src/data');
+const QUESTIONS_DIR = path.join(DATA_DIR, 'questions');
+const METADATA_PATH = path.join(DATA_DIR, 'question-metadata.json');
+
+function readJson(filePath, problems) {
+  const relativePath = path.relative(DATA_DIR, filePath);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    problems.push(`${relativePath}: could not parse JSON (${error.message})`);
+    return null;
+  }
+}
+
+function validateQuestionBank() {
+  const problems = [];
+  const idLocations = new Map(); // question id -> [file names]
+  const tagLocations = new Map(); // tag -> [question ids]
+  const localeLocations = new Map(); // translation locale -> [question ids]
+
+  const metadata = readJson(METADATA_PATH, problems);
+
+  let languagePacks;
+  try {
+    languagePacks = loadLanguagePacks();
+  } catch (error) {
+    problems.push(error.message);
+    return problems;
+  }
+
+  // Every question file must belong to a language
+  const packFiles = new Set(languagePacks.map(pack => pack.questionFile));
+  fs.readdirSync(QUESTIONS_DIR).filter(f => f.endsWith('.json')).forEach(fileName => {
+    if (!packFiles.has(fileName)) {
+      problems.push(`questions/${fileName} is not the questionFile of any language pack in languages/`);
+    }
+  });
+
+  for (const { id: language, questionFile, enabled } of languagePacks) {
+    const file = `questions/${questionFile}`;
+    const filePath = path.join(QUESTIONS_DIR, questionFile);
+
+    if (!fs.existsSync(filePath)) {
+      if (enabled) {
+        problems.push(`languages/${language}.json: enabled language has no ${file}`);
+      }
+      continue;
+    }
+
+    const questions = readJson(filePath, problems);
+
+    if (questions === null) {
+      continue;
+    }
+
+    if (!Array.isArray(questions)) {
+      problems.push(`${file}: file must contain an array of questions`);
+      continue;
+    }
+
+    questions.forEach((raw, index) => {
+      // Check each question separately so one bad entry doesn't hide the rest
+      try {
+        normalizeQuestion(raw, { file, language });
+      } catch (error) {
+        problems.push(error.message);
+      }
+
+      const id = raw && raw.id;
+      if (id) {
+        if (!idLocations.has(id)) {
+          idLocations.set(id, []);
+        }
+        idLocations.get(id).push(file);
+
+        (Array.isArray(raw.tags) ? raw.tags : []).forEach(tag => {
+          if (!tagLocations.has(tag)) {
+            tagLocations.set(tag, []);
+          }
+          tagLocations.get(tag).push(id);
+        });
+
+        Object.keys(raw.translations || {}).forEach(locale => {
+          if (!localeLocations.has(locale)) {
+            localeLocations.set(locale, []);
+          }
+          localeLocations.get(locale).push(id);
+        });
+      } else {
+        problems.push(`${file}: question #${index + 1} has no id`);
+      }
+    });
+
+    console.log(`   ${file}: ${questions.length} questions${enabled ? '' : ' (disabled)'}`);
+  }
+
+  // Question ids must be unique across the whole bank
+  idLocations.forEach((locations, id) => {
+    if (locations.length > 1) {
+      problems.push(`Duplicate question id "${id}" in ${locations.join(', ')}`);
+    }
+  });
+
+  // Translations are only served in locales the server supports
+  localeLocations.forEach((questionIds, locale) => {
+    if (!isSupportedLocale(locale) && !isSupportedLocale(locale.split('-')[0])) {
+      problems.push(`Translation locale "${locale}" (used by ${questionIds.join(', ')}) has no catalog in src/data/locales/`);
+    }
+  });
+
+  // Tags must be declared in the metadata
+  if (metadata) {
+    const topicIds = new Set((Array.isArray(metadata.topics) ? metadata.topics : []).map(t => t.id));
+    tagLocations.forEach((questionIds, tag) => {
+      if (!topicIds.has(tag)) {
+        problems.push(`Tag "${tag}" (used by ${questionIds.join(', ')}) is not declared in question-metadata.json topics`);
+      }
+    });
+  }
+
+  return problems;
+}
+
+console.log('🔍 Validating question bank...\n');
+
+const problems = validateQuestionBank();
+
+if (problems.length > 0) {
+  console.error(`\n❌ Found ${problems.length} problem(s):\n`);
+  problems.forEach(problem => console.error(`  - ${problem}`));
+  process.exit(1);
+}
+
+console.log('\n✅ Question bank is valid!');
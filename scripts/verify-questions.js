@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Verify that runtime bugs in the question bank actually happen
+ *
+ * Runs every question that has a `verify` block (see src/utils/questionSchema.js)
+ * in a sandboxed child process - its `setup`, then the question's code, then
+ * its `driver` - and checks the result against `verify.expect`:
+ *   error   - the run must end with this exception (JavaScript error name or Python exception class)
+ *   message - ...whose message contains this text
+ *   output  - the run must print exactly this (trailing whitespace ignored)
+ *
+ * Languages are picked by their pack's `syntax`: javascript snippets run in a
+ * vm context inside a Node process with the permission model on
+ * (scripts/sandbox/javascript-runner.js), python snippets in an isolated
+ * python3 with an audit hook and resource limits (scripts/sandbox/python_runner.py).
+ * Questions in other languages, or without a `verify` block, are skipped.
+ *
+ * Usage: node scripts/verify-questions.js [--language <id>] [--id <question id>] [--timeout <ms>]
+ *   PYTHON=python3.12 picks the Python interpreter
+ * Exits with code 1 if any question's bug doesn't reproduce.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { normalizeQuestions } = require('../src/utils/questionSchema');
+const { loadLanguagePacks } = require('../src/utils/languagePacks');
+
+const QUESTIONS_DIR = path.join(__dirname, '../src/data/questions');
+const SANDBOX_DIR = path.join(__dirname, 'sandbox');
+
+// Default time a single question may run for
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Node renamed --experimental-permission to --permission
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission') ? '--permission' : '--experimental-permission';
+
+// How to start the sandbox for each syntax
+const RUNNERS = {
+  javascript: () => {
+    const runner = path.join(SANDBOX_DIR, 'javascript-runner.js');
+    return {
+      command: process.execPath,
+      args: ['--no-warnings', PERMISSION_FLAG, `--allow-fs-read=${runner}`, '--max-old-space-size=128', runner]
+    };
+  },
+  python: () => ({
+    command: process.env.PYTHON || 'python3',
+    args: ['-I', path.join(SANDBOX_DIR, 'python_runner.py')]
+  })
+};
+
+function parseArgs(argv) {
+  const args = { language: null, id: null, timeoutMs: DEFAULT_TIMEOUT_MS };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--language') {
+      args.language = argv[++i] || null;
+    } else if (argv[i] === '--id') {
+      args.id = argv[++i] || null;
+    } else if (argv[i] === '--timeout') {
+      args.timeoutMs = parseInt(argv[++i]) || DEFAULT_TIMEOUT_MS;
+    }
+  }
+  return args;
+}
+
+/**
+ * Run one question's setup + code + driver in its sandbox
+ * @returns {object} - { output, error: { name, message } | null } or { failure: why the sandbox itself failed }
+ */
+function runInSandbox(runner, source, timeoutMs) {
+  const { command, args } = runner();
+  const result = spawnSync(command, args, {
+    input: JSON.stringify({ source, timeoutMs }),
+    cwd: os.tmpdir(),
+    env: { PATH: process.env.PATH }, // Nothing else from this process's environment
+    encoding: 'utf8',
+    timeout: timeoutMs + 2000,
+    maxBuffer: 1024 * 1024
+  });
+
+  if (result.error) {
+    return { failure: result.error.code === 'ETIMEDOUT' ? `timed out after ${timeoutMs}ms` : result.error.message };
+  }
+  if (result.signal) {
+    return { failure: `sandbox was killed (${result.signal}) - too slow or too much memory?` };
+  }
+
+  try {
+    return JSON.parse(result.stdout);
+  } catch (error) {
+    return { failure: `sandbox crashed: ${(result.stderr || result.stdout).trim().split('\n').pop()}` };
+  }
+}
+
+// Describe what went wrong, or null when the run matches the expectation
+function checkExpectation(expect, result) {
+  if (result.failure) {
+    return result.failure;
+  }
+
+  const { output, error } = result;
+  const got = error ? `${error.name}: ${error.message}` : 'no error';
+
+  if (expect.error !== undefined) {
+    if (!error || error.name !== expect.error) {
+      return `expected ${expect.error}, got ${got}`;
+    }
+    if (expect.message !== undefined && !error.message.includes(expect.message)) {
+      return `expected the ${expect.error} message to contain "${expect.message}", got "${error.message}"`;
+    }
+  } else if (error) {
+    return `expected it to run, got ${got}`;
+  }
+
+  if (expect.output !== undefined && output.trimEnd() !== expect.output.trimEnd()) {
+    return `expected output ${JSON.stringify(expect.output)}, got ${JSON.stringify(output)}`;
+  }
+
+  return null;
+}
+
+function verifyQuestions() {
+  const args = parseArgs(process.argv.slice(2));
+  const packs = loadLanguagePacks().filter(pack => !args.language || pack.id === args.language);
+
+  if (args.language && packs.length === 0) {
+    console.error(`❌ Unknown language "${args.language}"`);
+    process.exit(1);
+  }
+
+  const failures = [];
+  let verified = 0;
+  let withoutCheck = 0;
+
+  for (const pack of packs) {
+    const runner = RUNNERS[pack.syntax];
+    if (!runner) {
+      if (args.language) {
+        console.log(`⏭️  No sandbox for ${pack.displayName} (syntax "${pack.syntax}")`);
+      }
+      continue;
+    }
+
+    const file = `questions/${pack.questionFile}`;
+    const filePath = path.join(QUESTIONS_DIR, pack.questionFile);
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+
+    const questions = normalizeQuestions(JSON.parse(fs.readFileSync(filePath, 'utf8')), { file, language: pack.id })
+      .filter(q => !args.id || q.id === args.id);
+    const checked = questions.filter(q => q.verify);
+    withoutCheck += questions.length - checked.length;
+
+    if (checked.length === 0) {
+      continue;
+    }
+
+    console.log(`\n🔬 ${pack.displayName} (${checked.length} of ${questions.length} questions have a runtime check)`);
+
+    for (const question of checked) {
+      const { setup, driver, expect } = question.verify;
+      const source = [setup, question.code, driver].filter(Boolean).join('\n');
+      const problem = checkExpectation(expect, runInSandbox(runner, source, args.timeoutMs));
+
+      if (problem) {
+        console.log(`   ❌ ${question.id}: ${problem}`);
+        failures.push(`${file} (question ${question.id}): ${problem}`);
+      } else {
+        console.log(`   ✓ ${question.id}`);
+        verified++;
+      }
+    }
+  }
+
+  console.log(`\n${withoutCheck} question(s) without a runtime check were skipped`);
+
+  if (failures.length > 0) {
+    console.error(`\n❌ ${failures.length} question(s) don't reproduce their bug:\n`);
+    failures.forEach(failure => console.error(`  - ${failure}`));
+    process.exit(1);
+  }
+
+  console.log(`✅ ${verified} question(s) reproduce their bug`);
+}
+
+verifyQuestions();
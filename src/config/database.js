@@ -23,6 +23,8 @@ const db = {
   query: (text, params) => pool.query(text, params),
 
   // Save completed match to database
+  // matchData.selection is how its questions were drawn (see QuestionService.drawMatchQuestions)
+  // matchData.players are the human players' final scores (score, rank, bestStreak)
   async saveMatch(matchData) {
     const client = await pool.connect();
     try {
@@ -30,18 +32,24 @@ const db = {
 
       // Insert match record
       const matchResult = await client.query(
-        `INSERT INTO matches (id, status, started_at, ended_at)
-         VALUES ($1, 'completed', $2, $3)
+        `INSERT INTO matches (id, status, started_at, ended_at, seed, question_selection)
+         VALUES ($1, 'completed', $2, $3, $4, $5)
          RETURNING id`,
-        [matchData.matchId, matchData.startedAt, new Date()]
+        [
+          matchData.matchId,
+          matchData.startedAt,
+          new Date(),
+          matchData.selection ? matchData.selection.seed : null,
+          matchData.selection ? JSON.stringify(matchData.selection) : null
+        ]
       );
 
       // Insert player results
       for (const player of matchData.players) {
         await client.query(
-          `INSERT INTO match_players (match_id, player_id, username, final_score, rank)
-           VALUES ($1, $2, $3, $4, $5)`,
-          [matchResult.rows[0].id, player.id, player.username, player.score, player.rank]
+          `INSERT INTO match_players (match_id, player_id, username, final_score, rank, best_streak)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [matchResult.rows[0].id, player.id, player.username, player.score, player.rank, player.bestStreak || 0]
         );
       }
 
@@ -55,6 +63,25 @@ const db = {
     }
   },
 
+  // Get how a saved match's questions were drawn
+  // Returns: { seed, selection, startedAt } or null if the match doesn't exist.
+  // selection is null for matches saved before draws were recorded.
+  async getMatchSelection(matchId) {
+    const result = await pool.query(
+      `SELECT seed, question_selection, started_at FROM matches WHERE id = $1`,
+      [matchId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    const row = result.rows[0];
+    return {
+      seed: row.seed === null ? null : Number(row.seed),
+      selection: row.question_selection,
+      startedAt: row.started_at
+    };
+  },
+
   // Get global leaderboard by total score (top 50)
   async getLeaderboard(limit = 50) {
     try {
@@ -234,7 +261,7 @@ const db = {
   async getPlayerByToken(profileToken) {
     const result = await pool.query(
       `SELECT id, username, profile_token, total_matches, wins, total_score,
-              best_score, avg_score, rank_badge, last_played_at, created_at
+              best_score, best_streak, avg_score, rank_badge, last_played_at, created_at
        FROM players
        WHERE profile_token = $1`,
       [profileToken]
@@ -249,7 +276,7 @@ const db = {
   async getPlayerProfile(playerId) {
     const result = await pool.query(
       `SELECT id, username, profile_token, total_matches, wins, total_score,
-              best_score, avg_score, rank_badge, last_played_at, created_at
+              best_score, best_streak, avg_score, rank_badge, last_played_at, created_at
        FROM players
        WHERE id = $1`,
       [playerId]
@@ -335,6 +362,549 @@ const db = {
       console.error('Error updating username:', error);
       return { success: false, error: error.message };
     }
+  },
+
+  // ========================================
+  // QUESTION BANK FUNCTIONS
+  // ========================================
+
+  /**
+   * Get when any of the given players last answered each question
+   * @param {Array} playerIds
+   * @param {Date} before - Only count answers given before this time (null for all)
+   * Returns: Map of question_id -> Date
+   */
+  async getQuestionsLastSeen(playerIds, before = null) {
+    const result = await pool.query(
+      `SELECT question_id, MAX(created_at) AS last_seen_at
+       FROM question_responses
+       WHERE player_id = ANY($1::uuid[]) AND ($2::timestamp IS NULL OR created_at < $2)
+       GROUP BY question_id`,
+      [playerIds, before]
+    );
+    return new Map(result.rows.map(row => [row.question_id, new Date(row.last_seen_at)]));
+  },
+
+  /**
+   * Get published questions for the given languages
+   * Returns: array of question rows (choices is parsed JSONB)
+   */
+  async getQuestions(languageIds) {
+    const result = await pool.query(
+      `SELECT id, language, type, status, difficulty, tags, code, question, choices, correct_answer, explanation, translations
+       FROM questions
+       WHERE language = ANY($1) AND status = 'published'
+       ORDER BY language, id`,
+      [languageIds]
+    );
+    return result.rows;
+  },
+
+  // ========================================
+  // QUESTION AUTHORING FUNCTIONS
+  // ========================================
+
+  /**
+   * List questions in any status for the authoring API
+   * @param {object} filters - { status, language } (both optional)
+   * @returns {Promise<Array>} - Question rows without code or translations
+   */
+  async listAuthoredQuestions({ status = null, language = null } = {}) {
+    const result = await pool.query(
+      `SELECT id, language, type, status, difficulty, tags, question, created_by, updated_by, created_at, updated_at
+       FROM questions
+       WHERE ($1::varchar IS NULL OR status = $1) AND ($2::varchar IS NULL OR language = $2)
+       ORDER BY updated_at DESC, id`,
+      [status, language]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Get one question in any status
+   * @returns {Promise<object|null>} - Full question row
+   */
+  async getAuthoredQuestion(questionId) {
+    const result = await pool.query(
+      `SELECT id, language, type, status, difficulty, tags, code, question, choices, correct_answer, explanation,
+              translations, created_by, updated_by, created_at, updated_at
+       FROM questions
+       WHERE id = $1`,
+      [questionId]
+    );
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Create a question and record it in the audit log
+   * @param {object} question - Canonical question (see utils/questionSchema.js)
+   * @param {string} actor - Who is making the change
+   * @returns {Promise<boolean>} - False if the ID is already taken
+   */
+  async insertAuthoredQuestion(question, actor) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO questions
+           (id, language, type, status, difficulty, tags, code, question, choices, correct_answer, explanation, translations, created_by, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $13)
+         ON CONFLICT (id) DO NOTHING`,
+        [question.id, question.language, question.type, question.status, question.difficulty, question.tags, question.code,
+          question.question, JSON.stringify(question.choices), JSON.stringify(question.correctAnswer), question.explanation,
+          JSON.stringify(question.translations), actor]
+      );
+
+      if (result.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await client.query(
+        `INSERT INTO question_audit_log (question_id, action, actor) VALUES ($1, 'create', $2)`,
+        [question.id, actor]
+      );
+
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Replace a question's content and record what changed.
+   * Only succeeds while the question is still in one of `editableStatuses`.
+   * @param {object} question - Canonical question
+   * @param {string} actor - Who is making the change
+   * @param {object} changes - { field: { from, to } }
+   * @param {Array<string>} editableStatuses - Statuses the question may be edited in
+   * @returns {Promise<boolean>} - False if the question is missing or not editable
+   */
+  async updateAuthoredQuestion(question, actor, changes, editableStatuses) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE questions SET
+           type = $2, difficulty = $3, tags = $4, code = $5, question = $6, choices = $7,
+           correct_answer = $8, explanation = $9, translations = $10, updated_by = $11, updated_at = NOW()
+         WHERE id = $1 AND status = ANY($12)`,
+        [question.id, question.type, question.difficulty, question.tags, question.code, question.question,
+          JSON.stringify(question.choices), JSON.stringify(question.correctAnswer), question.explanation,
+          JSON.stringify(question.translations), actor, editableStatuses]
+      );
+
+      if (result.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await client.query(
+        `INSERT INTO question_audit_log (question_id, action, actor, changes) VALUES ($1, 'update', $2, $3)`,
+        [question.id, actor, JSON.stringify(changes)]
+      );
+
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Move a question from one status to another and record it
+   * @returns {Promise<boolean>} - False if the question is no longer in `fromStatus`
+   */
+  async updateAuthoredQuestionStatus(questionId, fromStatus, toStatus, actor, note = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE questions SET status = $3, updated_by = $4, updated_at = NOW()
+         WHERE id = $1 AND status = $2`,
+        [questionId, fromStatus, toStatus, actor]
+      );
+
+      if (result.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await client.query(
+        `INSERT INTO question_audit_log (question_id, action, actor, changes, note) VALUES ($1, 'status', $2, $3, $4)`,
+        [questionId, actor, JSON.stringify({ status: { from: fromStatus, to: toStatus } }), note]
+      );
+
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Get the audit trail for a question, newest first
+   */
+  async getQuestionAuditLog(questionId) {
+    const result = await pool.query(
+      `SELECT action, actor, changes, note, created_at
+       FROM question_audit_log
+       WHERE question_id = $1
+       ORDER BY created_at DESC`,
+      [questionId]
+    );
+    return result.rows;
+  },
+
+  // ========================================
+  // QUESTION ANALYTICS FUNCTIONS
+  // ========================================
+
+  /**
+   * Insert a batch of answers into question_responses in one statement.
+   * Unknown match or player IDs (unsaved matches, anonymous practice) are stored as NULL.
+   * @param {Array} responses - { matchId, playerId, questionId, answerId, isCorrect, responseTimeMs, language, mode, answeredAt }
+   * @returns {Promise<number>} - Rows inserted
+   */
+  async insertQuestionResponses(responses) {
+    const result = await pool.query(
+      `INSERT INTO question_responses
+         (match_id, player_id, question_id, answer_id, is_correct, response_time_ms, language, mode, created_at)
+       SELECT m.id, p.id, r.question_id, r.answer_id, r.is_correct, r.response_time_ms, r.language, r.mode, r.created_at
+       FROM unnest($1::uuid[], $2::uuid[], $3::varchar[], $4::varchar[], $5::boolean[], $6::integer[], $7::varchar[], $8::varchar[], $9::timestamptz[])
+         AS r(match_id, player_id, question_id, answer_id, is_correct, response_time_ms, language, mode, created_at)
+       LEFT JOIN matches m ON m.id = r.match_id
+       LEFT JOIN players p ON p.id = r.player_id`,
+      [
+        responses.map(r => r.matchId),
+        responses.map(r => r.playerId),
+        responses.map(r => r.questionId),
+        responses.map(r => r.answerId),
+        responses.map(r => r.isCorrect),
+        responses.map(r => r.responseTimeMs),
+        responses.map(r => r.language),
+        responses.map(r => r.mode),
+        responses.map(r => r.answeredAt)
+      ]
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Get answer statistics for a question
+   * @param {string} questionId - Question ID
+   * Timed-out rounds count as incorrect responses but not as wrong answers, nor towards the median time.
+   * @returns {Promise<object>} - { totalResponses, correctResponses, timedOutResponses, medianResponseTimeMs, wrongAnswers: [{ answerId, count }] }
+   */
+  async getQuestionResponseStats(questionId) {
+    const [summary, wrongAnswers] = await Promise.all([
+      pool.query(
+        `SELECT
+           COUNT(*) AS total_responses,
+           COUNT(*) FILTER (WHERE is_correct) AS correct_responses,
+           COUNT(*) FILTER (WHERE answer_id IS NULL) AS timed_out_responses,
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY response_time_ms) FILTER (WHERE answer_id IS NOT NULL) AS median_response_time_ms
+         FROM question_responses
+         WHERE question_id = $1`,
+        [questionId]
+      ),
+      pool.query(
+        `SELECT answer_id, COUNT(*) AS count
+         FROM question_responses
+         WHERE question_id = $1 AND is_correct = FALSE AND answer_id IS NOT NULL
+         GROUP BY answer_id
+         ORDER BY count DESC, answer_id`,
+        [questionId]
+      )
+    ]);
+
+    const row = summary.rows[0];
+    return {
+      totalResponses: parseInt(row.total_responses),
+      correctResponses: parseInt(row.correct_responses),
+      timedOutResponses: parseInt(row.timed_out_responses),
+      medianResponseTimeMs: row.median_response_time_ms === null ? null : Math.round(row.median_response_time_ms),
+      wrongAnswers: wrongAnswers.rows.map(r => ({ answerId: r.answer_id, count: parseInt(r.count) }))
+    };
+  },
+
+  // ========================================
+  // DIFFICULTY CALIBRATION FUNCTIONS
+  // ========================================
+
+  /**
+   * Aggregate answer data per question for difficulty calibration.
+   * Each answer is compared with the skill of the player who gave it: a player's skill is their
+   * solve rate across all questions, pulled towards the global solve rate by `priorWeight`
+   * pseudo-answers so players with few answers count as average. Anonymous answers use the global rate.
+   * Median response times are over given answers only - a timed-out round has no answer time.
+   * @param {number} priorWeight - Pseudo-answers at the global solve rate added to every player
+   * @returns {Promise<object>} - { globalSolveRate, globalMedianResponseTimeMs, questions: [...] }
+   */
+  async getCalibrationData(priorWeight = 10) {
+    const globalResult = await pool.query(
+      `SELECT
+         AVG(is_correct::int) AS solve_rate,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY response_time_ms) FILTER (WHERE answer_id IS NOT NULL) AS median_response_time_ms
+       FROM question_responses`
+    );
+    const globalSolveRate = globalResult.rows[0].solve_rate === null ? null : parseFloat(globalResult.rows[0].solve_rate);
+
+    if (globalSolveRate === null) {
+      return { globalSolveRate: null, globalMedianResponseTimeMs: null, questions: [] };
+    }
+
+    const result = await pool.query(
+      `WITH player_skill AS (
+         SELECT player_id, (SUM(is_correct::int) + $1::numeric * $2::numeric) / (COUNT(*) + $1::numeric) AS skill
+         FROM question_responses
+         WHERE player_id IS NOT NULL
+         GROUP BY player_id
+       )
+       SELECT
+         r.question_id,
+         COUNT(*) AS response_count,
+         AVG(r.is_correct::int) AS solve_rate,
+         AVG(r.is_correct::int - COALESCE(ps.skill, $2::numeric)) AS skill_residual,
+         percentile_cont(0.5) WITHIN GROUP (ORDER BY r.response_time_ms) FILTER (WHERE r.answer_id IS NOT NULL) AS median_response_time_ms
+       FROM question_responses r
+       LEFT JOIN player_skill ps ON ps.player_id = r.player_id
+       GROUP BY r.question_id`,
+      [priorWeight, globalSolveRate]
+    );
+
+    return {
+      globalSolveRate,
+      globalMedianResponseTimeMs: globalResult.rows[0].median_response_time_ms === null
+        ? null
+        : parseFloat(globalResult.rows[0].median_response_time_ms),
+      questions: result.rows.map(row => ({
+        questionId: row.question_id,
+        responseCount: parseInt(row.response_count),
+        solveRate: parseFloat(row.solve_rate),
+        skillResidual: parseFloat(row.skill_residual),
+        medianResponseTimeMs: row.median_response_time_ms === null ? null : parseFloat(row.median_response_time_ms)
+      }))
+    };
+  },
+
+  /**
+   * Save calibration results (one row per question, replacing earlier runs)
+   * @param {Array} calibrations - { questionId, difficultyRating, measuredDifficulty, responseCount, solveRate, adjustedSolveRate, medianResponseTimeMs }
+   */
+  async saveQuestionCalibrations(calibrations) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const c of calibrations) {
+        await client.query(
+          `INSERT INTO question_calibration
+             (question_id, difficulty_rating, measured_difficulty, response_count, solve_rate, adjusted_solve_rate, median_response_time_ms, calibrated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+           ON CONFLICT (question_id) DO UPDATE SET
+             difficulty_rating = EXCLUDED.difficulty_rating,
+             measured_difficulty = EXCLUDED.measured_difficulty,
+             response_count = EXCLUDED.response_count,
+             solve_rate = EXCLUDED.solve_rate,
+             adjusted_solve_rate = EXCLUDED.adjusted_solve_rate,
+             median_response_time_ms = EXCLUDED.median_response_time_ms,
+             calibrated_at = NOW()`,
+          [c.questionId, c.difficultyRating, c.measuredDifficulty, c.responseCount, c.solveRate, c.adjustedSolveRate, c.medianResponseTimeMs]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Get the latest calibration for every calibrated question
+   * @returns {Promise<Map>} - question ID -> { difficultyRating, measuredDifficulty }
+   */
+  async getQuestionCalibrations() {
+    const result = await pool.query(
+      `SELECT question_id, difficulty_rating, measured_difficulty FROM question_calibration`
+    );
+    return new Map(result.rows.map(row => [row.question_id, {
+      difficultyRating: parseFloat(row.difficulty_rating),
+      measuredDifficulty: row.measured_difficulty
+    }]));
+  },
+
+  // ========================================
+  // QUESTION REPORT FUNCTIONS
+  // ========================================
+
+  /**
+   * Record a player's report of a question
+   * @param {object} report - { questionId, playerId, matchId, reason, details, mode }
+   *   Unknown player IDs are stored as anonymous reports.
+   * @returns {Promise<object>} - { created: false if this player already has an open report, openReporters }
+   */
+  async insertQuestionReport({ questionId, playerId = null, matchId = null, reason, details = null, mode }) {
+    const inserted = await pool.query(
+      `INSERT INTO question_reports (question_id, player_id, match_id, reason, details, mode)
+       SELECT $1::varchar, (SELECT id FROM players WHERE id = $2::uuid), $3::uuid, $4::varchar, $5::text, $6::varchar
+       ON CONFLICT (question_id, player_id) WHERE status = 'open' DO NOTHING
+       RETURNING id`,
+      [questionId, playerId, matchId, reason, details, mode]
+    );
+
+    // Only identified players count towards flagging, so one anonymous client can't pull a question
+    const reporters = await pool.query(
+      `SELECT COUNT(DISTINCT player_id) AS open_reporters
+       FROM question_reports
+       WHERE question_id = $1 AND status = 'open'`,
+      [questionId]
+    );
+
+    return {
+      created: inserted.rowCount > 0,
+      openReporters: parseInt(reporters.rows[0].open_reporters)
+    };
+  },
+
+  /**
+   * Take a question out of rotation until its reports are reviewed
+   * @returns {Promise<boolean>} - False if it was already flagged
+   */
+  async flagQuestion(questionId, reportCount) {
+    const result = await pool.query(
+      `INSERT INTO flagged_questions (question_id, report_count)
+       VALUES ($1, $2)
+       ON CONFLICT (question_id) DO NOTHING`,
+      [questionId, reportCount]
+    );
+    return result.rowCount > 0;
+  },
+
+  /**
+   * Get the IDs of every flagged question
+   * @returns {Promise<Set>}
+   */
+  async getFlaggedQuestionIds() {
+    const result = await pool.query('SELECT question_id FROM flagged_questions');
+    return new Set(result.rows.map(row => row.question_id));
+  },
+
+  /**
+   * Count the players with an open report against each question that isn't flagged
+   * @returns {Promise<Map>} - question_id -> open reporters
+   */
+  async getOpenReportCounts() {
+    const result = await pool.query(
+      `SELECT question_id, COUNT(DISTINCT player_id) AS open_reporters
+       FROM question_reports
+       WHERE status = 'open' AND question_id NOT IN (SELECT question_id FROM flagged_questions)
+       GROUP BY question_id
+       HAVING COUNT(DISTINCT player_id) > 0`
+    );
+    return new Map(result.rows.map(row => [row.question_id, parseInt(row.open_reporters)]));
+  },
+
+  /**
+   * List reported questions, most open reports first
+   * @param {object} options - { includeResolved: also list questions whose reports are all resolved, limit }
+   * @returns {Promise<Array>} - [{ questionId, openReports, totalReports, reasons: { reason: count }, lastReportedAt, flaggedAt }]
+   *   (reasons counts open reports only)
+   */
+  async getMostReportedQuestions({ includeResolved = false, limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT
+         r.question_id,
+         COUNT(*) FILTER (WHERE r.status = 'open') AS open_reports,
+         COUNT(*) AS total_reports,
+         MAX(r.created_at) AS last_reported_at,
+         f.flagged_at,
+         (SELECT COALESCE(jsonb_object_agg(reason, count), '{}'::jsonb)
+          FROM (SELECT reason, COUNT(*) AS count
+                FROM question_reports
+                WHERE question_id = r.question_id AND status = 'open'
+                GROUP BY reason) open_reasons) AS reasons
+       FROM question_reports r
+       LEFT JOIN flagged_questions f ON f.question_id = r.question_id
+       GROUP BY r.question_id, f.flagged_at
+       HAVING $1::boolean OR COUNT(*) FILTER (WHERE r.status = 'open') > 0
+       ORDER BY open_reports DESC, total_reports DESC, last_reported_at DESC
+       LIMIT $2`,
+      [includeResolved, limit]
+    );
+    return result.rows.map(row => ({
+      questionId: row.question_id,
+      openReports: parseInt(row.open_reports),
+      totalReports: parseInt(row.total_reports),
+      reasons: row.reasons,
+      lastReportedAt: row.last_reported_at,
+      flaggedAt: row.flagged_at
+    }));
+  },
+
+  /**
+   * Get every report of a question, newest first
+   * @returns {Promise<Array>} - Report rows
+   */
+  async getQuestionReports(questionId) {
+    const result = await pool.query(
+      `SELECT id, player_id, match_id, reason, details, mode, status, resolved_by, resolution_note, resolved_at, created_at
+       FROM question_reports
+       WHERE question_id = $1
+       ORDER BY created_at DESC`,
+      [questionId]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Close a question's open reports and put it back into rotation
+   * @param {string} questionId - Question ID
+   * @param {string} actor - Who reviewed the reports
+   * @param {string} note - Optional review note
+   * @returns {Promise<object>} - { resolved: reports closed, unflagged: whether it was flagged }
+   */
+  async resolveQuestionReports(questionId, actor, note = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const resolved = await client.query(
+        `UPDATE question_reports
+         SET status = 'resolved', resolved_by = $2, resolution_note = $3, resolved_at = NOW()
+         WHERE question_id = $1 AND status = 'open'`,
+        [questionId, actor, note]
+      );
+
+      const unflagged = await client.query(
+        'DELETE FROM flagged_questions WHERE question_id = $1',
+        [questionId]
+      );
+
+      await client.query('COMMIT');
+      return { resolved: resolved.rowCount, unflagged: unflagged.rowCount > 0 };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 };
 
@@ -1,31 +1,51 @@
 const matchmakingService = require('../services/MatchmakingService');
 const questionService = require('../services/QuestionService');
+const crypto = require('crypto');
 const db = require('../config/database');
 const botService = require('../services/BotService');
+const analyticsService = require('../services/AnalyticsService');
+const questionReportService = require('../services/QuestionReportService');
+const GameEngine = require('../services/GameEngine');
+const { resolveLocale, t } = require('../utils/i18n');
 
 // Constants
 const QUESTIONS_PER_GAME = 5;
-const QUESTION_TIME_LIMIT = 30000; // 30 seconds
-const NEXT_QUESTION_DELAY = 3000; // 3 seconds between questions
-const GAME_START_COUNTDOWN = 3000; // 3 seconds before game starts
+const CLOCK_SYNC_SAMPLES = 5; // pings per handshake - the fastest one gives the offset
+const CLOCK_SYNC_TIMEOUT_MS = 3000;
 
 // Register all socket event handlers
 function registerHandlers(socket, io) {
   // Player joins matchmaking queue
   socket.on('join_queue', async (data) => {
-    const { username, profileToken, playerId: clientPlayerId, preferences } = data;
+    const { username, profileToken, playerId: clientPlayerId, preferences, locale } = data;
+
+    // Remember the player's locale for questions and messages sent to this socket
+    if (locale) {
+      socket.data.locale = resolveLocale(locale);
+    }
 
     if (!username || username.trim().length === 0) {
-      socket.emit('error', { message: 'Username is required' });
+      socket.emit('error', { message: t(getSocketLocale(socket), 'usernameRequired') });
       return;
     }
 
-    // Default preferences if not provided
+    // Default preferences if not provided (topic is optional - no topic means any question)
     const gamePreferences = {
       language: preferences?.language || 'javascript',
-      difficulty: preferences?.difficulty || 'medium'
+      difficulty: preferences?.difficulty || 'medium',
+      topic: preferences?.topic || null
     };
 
+    if (!questionService.isKnownLanguage(gamePreferences.language)) {
+      socket.emit('error', { message: t(getSocketLocale(socket), 'invalidLanguage', { language: gamePreferences.language }) });
+      return;
+    }
+
+    if (gamePreferences.topic && !questionService.isKnownTopic(gamePreferences.topic)) {
+      socket.emit('error', { message: t(getSocketLocale(socket), 'invalidTopic', { topic: gamePreferences.topic }) });
+      return;
+    }
+
     try {
       let playerId = clientPlayerId;
       let token = profileToken;
@@ -62,7 +82,8 @@ function registerHandlers(socket, io) {
         socket,
         username.trim(),
         playerId,
-        gamePreferences
+        gamePreferences,
+        getSocketLocale(socket)
       );
 
       socket.emit('queue_joined', {
@@ -71,18 +92,20 @@ function registerHandlers(socket, io) {
         playerId,
         profileToken: token,
         hasPaid,
-        preferences: confirmedPreferences
+        preferences: confirmedPreferences,
+        locale: getSocketLocale(socket)
       });
 
       // Try to create a match for this preference group
       const prefKey = matchmakingService.getPreferenceKey(
         gamePreferences.language,
-        gamePreferences.difficulty
+        gamePreferences.difficulty,
+        gamePreferences.topic
       );
-      tryStartMatchForPreference(io, prefKey);
+      await tryStartMatchForPreference(io, prefKey);
     } catch (error) {
       console.error('Error joining queue:', error);
-      socket.emit('error', { message: 'Failed to join queue' });
+      socket.emit('error', { message: t(getSocketLocale(socket), 'joinQueueFailed') });
     }
   });
 
@@ -92,153 +115,161 @@ function registerHandlers(socket, io) {
     socket.emit('queue_left', {});
   });
 
-  // Player submits answer
-  socket.on('submit_answer', async (data) => {
+  // Player submits answer - the match's engine scores it and closes the round once everyone answered
+  socket.on('submit_answer', (data) => {
     const { answerId, questionId } = data;
 
     // Find which game this player is in
     const result = matchmakingService.getGameBySocket(socket.id);
-    if (!result) {
-      socket.emit('error', { message: 'Not in an active game' });
+    if (!result || !result.game.engine) {
+      socket.emit('error', { message: t(getSocketLocale(socket), 'notInGame') });
       return;
     }
 
-    const { matchId, game } = result;
-    const player = game.players.get(socket.id);
-
-    if (!player || !player.isActive) {
+    const { accepted, reason } = result.game.engine.submitAnswer(socket.id, questionId, answerId, {
+      roundTrip: socket.data.roundTrip
+    });
+    if (accepted || reason === 'inactive') {
       return;
     }
 
-    // Check if answer already submitted for this question
-    if (player.answers.some(a => a.questionId === questionId)) {
-      socket.emit('error', { message: 'Answer already submitted' });
+    // Answers that came in after the round closed aren't errors - the player is told why it didn't count
+    if (reason === 'late' || reason === 'closed' || reason === 'wrongQuestion') {
+      socket.emit('answer_rejected', {
+        questionId,
+        reason: reason === 'late' ? 'late' : 'closed',
+        message: t(getSocketLocale(socket), reason === 'late' ? 'answerTooLate' : 'questionClosed')
+      });
       return;
     }
 
-    // Validate answer with language context
-    const language = game.preferences?.language || 'javascript';
-    const result2 = questionService.checkAnswer(questionId, answerId, language);
-    if (!result2.isValid) {
-      socket.emit('error', { message: result2.error });
+    const errors = {
+      alreadyAnswered: 'answerAlreadySubmitted',
+      invalid: 'questionNotFound',
+      invalidAnswer: 'invalidAnswer'
+    };
+    socket.emit('error', { message: t(getSocketLocale(socket), errors[reason]) });
+  });
+
+  // Player whose connection dropped comes back on a new socket.
+  // Answered through the acknowledgement callback with { success, match } (see GameEngine.getResumeState)
+  // or { success: false, error }.
+  socket.on('rejoin_match', async (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const { playerId, rejoinToken, profileToken = null, locale } = data || {};
+
+    if (locale) {
+      socket.data.locale = resolveLocale(locale);
+    }
+
+    if (!playerId || typeof rejoinToken !== 'string' || !rejoinToken) {
+      reply({ success: false, error: t(getSocketLocale(socket), 'rejoinNotAllowed') });
       return;
     }
 
-    // Record answer
-    const answerData = {
-      questionId,
-      answerId,
-      isCorrect: result2.isCorrect,
-      points: result2.points,
-      timestamp: Date.now(),
-      responseTime: Date.now() - game.questionStartTime
-    };
+    try {
+      const result = matchmakingService.getGameByPlayerId(playerId);
+      if (!result || !result.game.engine) {
+        reply({ success: false, error: t(getSocketLocale(socket), 'noMatchToRejoin') });
+        return;
+      }
 
-    player.answers.push(answerData);
-    player.score += result2.points;
+      // The rejoin token from match_found proves the player ID belongs to this client;
+      // a profile token, if sent, has to belong to the same player as well
+      const player = Array.from(result.game.players.values()).find(p => p.id === playerId);
+      if (!player || !player.rejoinToken || !tokensMatch(player.rejoinToken, rejoinToken)) {
+        reply({ success: false, error: t(getSocketLocale(socket), 'rejoinNotAllowed') });
+        return;
+      }
+      if (profileToken) {
+        const profile = await db.getPlayerByToken(profileToken);
+        if (!profile || profile.id !== playerId) {
+          reply({ success: false, error: t(getSocketLocale(socket), 'rejoinNotAllowed') });
+          return;
+        }
+      }
 
-    console.log(`[Game ${matchId}] ${player.username} answered ${result2.isCorrect ? 'correctly' : 'incorrectly'}`);
+      const rejoin = result.game.engine.rejoinPlayer(playerId, socket.id);
+      if (!rejoin || !rejoin.rejoined) {
+        reply({ success: false, error: t(getSocketLocale(socket), 'noMatchToRejoin') });
+        return;
+      }
 
-    // Send individual result
-    socket.emit('answer_result', {
-      correct: result2.isCorrect,
-      correctAnswer: result2.correctAnswer,
-      explanation: result2.explanation,
-      pointsEarned: result2.points
-    });
+      // Move the match's room over from the old socket, if it is still around
+      const room = `match-${result.matchId}`;
+      const previousSocket = io.sockets.sockets.get(rejoin.previousSocketId);
+      if (previousSocket && previousSocket.id !== socket.id) {
+        previousSocket.leave(room);
+      }
+      matchmakingService.removeFromQueue(socket.id);
+      socket.join(room);
 
-    // Check if all active players have answered
-    const allAnswered = Array.from(game.players.values())
-      .filter(p => p.isActive)
-      .every(p => p.answers.some(a => a.questionId === questionId));
+      reply({ success: true, match: rejoin.state });
+    } catch (error) {
+      console.error('Error rejoining match:', error);
+      reply({ success: false, error: t(getSocketLocale(socket), 'rejoinFailed') });
+    }
+  });
 
-    if (allAnswered) {
-      // Send round scores to all players
-      sendRoundScores(io, matchId, game);
+  // Player reports a wrong or ambiguous question from this match.
+  // Answered through the acknowledgement callback with { success, message } or { success: false, error }.
+  socket.on('report_question', async (data, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const { questionId, reason, details = null } = data || {};
 
-      // Move to next question after delay
-      setTimeout(() => {
-        nextQuestion(io, matchId, game);
-      }, NEXT_QUESTION_DELAY);
+    const result = matchmakingService.getGameBySocket(socket.id);
+    if (!result) {
+      reply({ success: false, error: t(getSocketLocale(socket), 'notInGame') });
+      return;
     }
-  });
 
-  // Handle player disconnect
-  socket.on('disconnect', () => {
-    const result = matchmakingService.handlePlayerDisconnect(socket.id);
-    if (result) {
-      const { matchId, game } = result;
-      const player = game.players.get(socket.id);
+    const { matchId, game } = result;
+    const player = game.players.get(socket.id);
 
-      // Notify other players
-      io.to(`match-${matchId}`).emit('player_left', {
+    // Only questions this match has already shown can be reported
+    const shownQuestions = game.engine ? game.engine.getShownQuestions() : [];
+    if (!player || !shownQuestions.some(q => q.id === questionId)) {
+      reply({ success: false, error: t(getSocketLocale(socket), 'questionNotFound') });
+      return;
+    }
+
+    try {
+      const report = await questionReportService.reportQuestion({
+        questionId,
         playerId: player.id,
-        username: player.username
+        matchId,
+        reason,
+        details,
+        mode: 'multiplayer'
       });
 
-      // If all human players left, end the game
-      const hasHumanPlayers = Array.from(game.players.values()).some(p => p.isActive && !p.isBot);
-      if (!hasHumanPlayers && game.status === 'in_progress') {
-        console.log(`[Game ${matchId}] All human players left, ending game`);
-        endGame(io, matchId, game);
+      if (!report.success) {
+        const errors = {
+          invalidReason: t(player.locale, 'invalidReportReason', { reason }),
+          alreadyReported: t(player.locale, 'questionAlreadyReported'),
+          notFound: t(player.locale, 'questionNotFound')
+        };
+        reply({ success: false, error: errors[report.reason] });
+        return;
       }
+
+      reply({ success: true, message: t(player.locale, 'questionReported') });
+    } catch (error) {
+      console.error('Error reporting question:', error);
+      reply({ success: false, error: t(player.locale, 'reportSaveFailed') });
     }
   });
 }
 
-// Handle bot submitting an answer
-function handleBotAnswer(io, matchId, game, bot, questionId, answerId) {
-  const botPlayer = game.players.get(bot.socketId);
-
-  if (!botPlayer || !botPlayer.isActive) {
-    return;
-  }
-
-  // Check if answer already submitted
-  if (botPlayer.answers.some(a => a.questionId === questionId)) {
-    return;
-  }
-
-  // Validate answer with language context
-  const language = game.preferences?.language || 'javascript';
-  const result = questionService.checkAnswer(questionId, answerId, language);
-  if (!result.isValid) {
-    return;
-  }
-
-  // Record answer
-  const answerData = {
-    questionId,
-    answerId,
-    isCorrect: result.isCorrect,
-    points: result.points,
-    timestamp: Date.now(),
-    responseTime: Date.now() - game.questionStartTime
-  };
-
-  botPlayer.answers.push(answerData);
-  botPlayer.score += result.points;
-
-  console.log(`[Game ${matchId}] Bot ${botPlayer.username} answered ${result.isCorrect ? 'correctly' : 'incorrectly'}`);
-
-  // Check if all active players have answered
-  const allAnswered = Array.from(game.players.values())
-    .filter(p => p.isActive)
-    .every(p => p.answers.some(a => a.questionId === questionId));
-
-  if (allAnswered) {
-    // Send round scores to all players
-    sendRoundScores(io, matchId, game);
-
-    // Move to next question after delay
-    setTimeout(() => {
-      nextQuestion(io, matchId, game);
-    }, NEXT_QUESTION_DELAY);
-  }
+// Compare a secret the client sent with the one we hold, in constant time
+function tokensMatch(expected, received) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
 }
 
 // Try to start a match for specific preference group
-function tryStartMatchForPreference(io, prefKey) {
+async function tryStartMatchForPreference(io, prefKey) {
   if (!matchmakingService.canStartMatch(prefKey)) {
     return;
   }
@@ -248,38 +279,33 @@ function tryStartMatchForPreference(io, prefKey) {
     return;
   }
 
-  const { matchId, players, preferences } = match;
-  const game = matchmakingService.getGame(matchId);
+  try {
+    await startMatch(io, match.matchId, matchmakingService.getGame(match.matchId));
+  } catch (error) {
+    failMatchStart(io, match.matchId, error);
+  }
+}
 
-  // Get questions for this match's language
-  game.questions = questionService.getQuestionsForMatch(QUESTIONS_PER_GAME, preferences.language);
+// A match that couldn't start: end it and send its players back to the queue screen
+function failMatchStart(io, matchId, error) {
+  console.error(`[Match] Could not start match ${matchId}:`, error);
 
-  // Get time limit based on difficulty
-  const timeLimit = questionService.getTimeLimit(preferences.difficulty);
-  game.questionTimeLimit = timeLimit * 1000; // Convert to milliseconds
+  const game = matchmakingService.getGame(matchId);
+  if (!game) {
+    return;
+  }
 
-  // Create Socket.io room
-  players.forEach(player => {
-    const socket = io.sockets.sockets.get(player.socketId);
-    if (socket) {
-      socket.join(`match-${matchId}`);
+  game.players.forEach(player => {
+    if (!player.isBot) {
+      io.to(player.socketId).emit('match_failed', { matchId, message: t(player.locale, 'matchStartFailed') });
     }
   });
 
-  // Notify all players match found
-  io.to(`match-${matchId}`).emit('match_found', {
-    matchId,
-    players: players.map(p => ({
-      id: p.id,
-      username: p.username
-    })),
-    preferences
-  });
-
-  // Start game after countdown
-  setTimeout(() => {
-    startGame(io, matchId, game);
-  }, GAME_START_COUNTDOWN);
+  if (game.engine) {
+    game.engine.abandon();
+  } else {
+    matchmakingService.endGame(matchId);
+  }
 }
 
 // Legacy function - kept for backward compatibility
@@ -288,144 +314,58 @@ function tryStartMatch(io) {
   tryStartMatchForPreference(io, 'javascript:medium');
 }
 
-// Start the game
-function startGame(io, matchId, game) {
-  game.status = 'in_progress';
-  game.startedAt = Date.now();
-
-  // Use game-specific time limit or default
-  const timeLimit = game.questionTimeLimit || QUESTION_TIME_LIMIT;
-  const language = game.preferences?.language || 'javascript';
-  const difficulty = game.preferences?.difficulty || 'medium';
+// Give a new match its engine and questions, tell the players, and start the countdown
+async function startMatch(io, matchId, game) {
+  const preferences = game.preferences;
 
-  console.log(`[Game ${matchId}] Starting game with ${game.players.size} players (${language}/${difficulty})`);
-
-  // Notify players game is starting
-  io.to(`match-${matchId}`).emit('game_start', {
-    totalQuestions: game.questions.length,
-    questionTimeLimit: timeLimit / 1000,
-    preferences: game.preferences
+  game.engine = new GameEngine(game, {
+    io,
+    onFinish: (finalScores) => saveMatchResults(matchId, game, finalScores),
+    onAbandon: () => matchmakingService.endGame(matchId)
   });
 
-  // Send first question
-  setTimeout(() => {
-    sendQuestion(io, matchId, game);
-  }, 1000);
-}
+  // Draw questions for this match's language and difficulty from its seed, rarely ones these players saw recently
+  await dealQuestions(game, preferences);
 
-// Send current question to all players
-function sendQuestion(io, matchId, game) {
-  if (game.currentQuestionIndex >= game.questions.length) {
-    endGame(io, matchId, game);
+  // Every human may have left while the questions were dealt
+  if (game.engine.phase !== GameEngine.PHASES.WAITING) {
     return;
   }
 
-  const question = game.questions[game.currentQuestionIndex];
-  game.questionStartTime = Date.now();
-
-  const questionData = questionService.getQuestionForClient(question.id);
-
-  io.to(`match-${matchId}`).emit('question', {
-    ...questionData,
-    questionNumber: game.currentQuestionIndex + 1,
-    totalQuestions: game.questions.length
-  });
-
-  console.log(`[Game ${matchId}] Sent question ${game.currentQuestionIndex + 1}/${game.questions.length}`);
-
-  // Simulate bot answers if there are bots in the game
-  if (game.bots && game.bots.length > 0) {
-    game.bots.forEach(bot => {
-      const botPlayer = game.players.get(bot.socketId);
-      if (botPlayer && botPlayer.isActive) {
-        botService.simulateBotAnswer(bot, question, question.correctAnswer, (bot, questionId, answerId) => {
-          // Simulate bot submitting answer
-          handleBotAnswer(io, matchId, game, bot, questionId, answerId);
-        });
-      }
-    });
-  }
-
-  // Auto-advance if time runs out
-  setTimeout(() => {
-    const currentQuestion = game.questions[game.currentQuestionIndex];
-
-    // Check if we're still on the same question
-    if (currentQuestion && currentQuestion.id === question.id) {
-      console.log(`[Game ${matchId}] Question ${game.currentQuestionIndex + 1} timed out`);
-      sendRoundScores(io, matchId, game);
+  // Get time limit based on difficulty
+  const timeLimit = questionService.getTimeLimit(preferences.difficulty);
+  game.questionTimeLimit = timeLimit * 1000; // Convert to milliseconds
 
-      setTimeout(() => {
-        nextQuestion(io, matchId, game);
-      }, NEXT_QUESTION_DELAY);
+  // Create Socket.io room (bots don't have sockets)
+  const players = Array.from(game.players.values());
+  players.forEach(player => {
+    const socket = !player.isBot && io.sockets.sockets.get(player.socketId);
+    if (socket) {
+      socket.join(`match-${matchId}`);
     }
-  }, QUESTION_TIME_LIMIT);
-}
-
-// Send round scores to all players
-function sendRoundScores(io, matchId, game) {
-  const currentQuestion = game.questions[game.currentQuestionIndex];
-
-  const scores = Array.from(game.players.values())
-    .filter(p => p.isActive)
-    .map(p => {
-      const answer = p.answers.find(a => a.questionId === currentQuestion.id);
-      return {
-        playerId: p.id,
-        username: p.username,
-        score: p.score,
-        isCorrect: answer ? answer.isCorrect : false,
-        responseTime: answer ? answer.responseTime : null
-      };
-    })
-    .sort((a, b) => b.score - a.score); // Sort by score descending
-
-  io.to(`match-${matchId}`).emit('round_scores', { scores });
-}
-
-// Move to next question
-function nextQuestion(io, matchId, game) {
-  game.currentQuestionIndex++;
-
-  if (game.currentQuestionIndex >= game.questions.length) {
-    endGame(io, matchId, game);
-  } else {
-    sendQuestion(io, matchId, game);
-  }
-}
-
-// End the game
-async function endGame(io, matchId, game) {
-  game.status = 'completed';
+  });
 
-  // Calculate final scores and rankings (include all players for display)
-  const finalScores = Array.from(game.players.values())
-    .filter(p => p.isActive)
-    .map(p => ({
+  // Notify all players match found, each with their own token for rejoining this match
+  const matchInfo = {
+    matchId,
+    players: players.map(p => ({
       id: p.id,
-      username: p.username,
-      score: p.score,
-      correctAnswers: p.answers.filter(a => a.isCorrect).length,
-      totalAnswers: p.answers.length,
-      isBot: p.isBot || false
-    }))
-    .sort((a, b) => b.score - a.score);
-
-  // Assign ranks
-  finalScores.forEach((player, index) => {
-    player.rank = index + 1;
+      username: p.username
+    })),
+    preferences
+  };
+  players.forEach(player => {
+    if (!player.isBot) {
+      player.rejoinToken = crypto.randomBytes(24).toString('hex');
+      io.to(player.socketId).emit('match_found', { ...matchInfo, rejoinToken: player.rejoinToken });
+    }
   });
 
-  const winner = finalScores[0];
-
-  console.log(`[Game ${matchId}] Game ended. Winner: ${winner.username} (${winner.score} points)`);
-
-  // Notify all players
-  io.to(`match-${matchId}`).emit('game_end', {
-    finalScores,
-    winner
-  });
+  game.engine.start();
+}
 
+// Save a finished match (called by its engine after game_end is sent)
+async function saveMatchResults(matchId, game, finalScores) {
   // Save to database (only human players)
   try {
     // Filter out bots for database storage
@@ -435,6 +375,7 @@ async function endGame(io, matchId, game) {
       const savedMatchId = await db.saveMatch({
         matchId,
         startedAt: new Date(game.startedAt),
+        selection: game.selection,
         players: humanPlayers
       });
       console.log(`[Game ${matchId}] Saved to database with ${humanPlayers.length} human players`);
@@ -470,31 +411,78 @@ async function endGame(io, matchId, game) {
     console.error(`[Game ${matchId}] Failed to save to database:`, error);
   }
 
+  // Queue the human players' answers for question analytics (after the match row exists)
+  analyticsService.recordMatchResponses(matchId, game);
+
   // Cleanup
   matchmakingService.endGame(matchId);
 }
 
-// Handle player disconnect
-function handleDisconnect(socket, io) {
+// Handle player disconnect: leave the queue, or let the match's engine hold their place for a rejoin
+function handleDisconnect(socket) {
   const result = matchmakingService.handlePlayerDisconnect(socket.id);
 
-  if (result) {
-    const { matchId, game } = result;
-    const player = game.players.get(socket.id);
-
-    // Notify other players
-    io.to(`match-${matchId}`).emit('player_left', {
-      playerId: player.id,
-      username: player.username
-    });
+  if (result && result.game.engine) {
+    result.game.engine.disconnectPlayer(socket.id);
+  }
+}
 
-    // Check if all players disconnected
-    const activePlayers = Array.from(game.players.values()).filter(p => p.isActive);
-    if (activePlayers.length === 0) {
-      console.log(`[Game ${matchId}] All players disconnected, ending game`);
-      matchmakingService.endGame(matchId);
+/**
+ * Clock-sync handshake: ping the client a few times and keep the fastest round trip.
+ * The client answers each clock_ping with its own clock; halfway through that round trip
+ * the server's clock read sentAt + roundTrip / 2, which gives the client's offset.
+ * The round trip is kept on the socket (it widens that player's answer window) and the
+ * offset is sent back in clock_sync so the client can count down to server deadlines.
+ * @param {object} socket - Newly connected socket
+ */
+async function syncClock(socket) {
+  let best = null;
+
+  for (let i = 0; i < CLOCK_SYNC_SAMPLES && socket.connected; i++) {
+    const sentAt = Date.now();
+    try {
+      const { clientTime } = await socket.timeout(CLOCK_SYNC_TIMEOUT_MS).emitWithAck('clock_ping', { serverTime: sentAt });
+      const roundTrip = Date.now() - sentAt;
+      if (Number.isFinite(clientTime) && (!best || roundTrip < best.roundTrip)) {
+        best = { roundTrip, offset: Math.round(sentAt + roundTrip / 2 - clientTime) };
+      }
+    } catch (error) {
+      // No reply in time (or the socket went away) - that sample is lost
     }
   }
+
+  if (!best || !socket.connected) {
+    return;
+  }
+
+  socket.data.roundTrip = best.roundTrip;
+  socket.emit('clock_sync', best);
+}
+
+// Locale chosen in join_queue, or negotiated from the browser's Accept-Language
+function getSocketLocale(socket) {
+  return socket.data.locale || resolveLocale(socket.handshake.headers['accept-language']);
+}
+
+// Database IDs of the human players in a game (bots have no answer history)
+function getHumanPlayerIds(game) {
+  return Array.from(game.players.values())
+    .filter(p => !p.isBot)
+    .map(p => p.id);
+}
+
+// Deal a match its questions, keeping how they were drawn so they can be dealt again from its ID
+async function dealQuestions(game, { language, difficulty, topic = null }) {
+  const { questions, selection } = await questionService.drawMatchQuestions(QUESTIONS_PER_GAME, {
+    seed: game.seed,
+    language,
+    difficulty,
+    topic,
+    playerIds: getHumanPlayerIds(game)
+  });
+
+  game.questions = questions;
+  game.selection = selection;
 }
 
 // Helper functions for server stats
@@ -507,54 +495,22 @@ function getQueueSize() {
 }
 
 // Start a bot match (called by MatchmakingService when timer expires)
-function startBotMatch(io, matchId) {
+async function startBotMatch(io, matchId) {
   const game = matchmakingService.getGame(matchId);
   if (!game) {
     console.log(`[Match] Could not find game ${matchId} for bot match`);
     return;
   }
 
-  // Get preferences for this match
-  const preferences = game.preferences || { language: 'javascript', difficulty: 'medium' };
-
-  // Get questions for this match's language
-  game.questions = questionService.getQuestionsForMatch(QUESTIONS_PER_GAME, preferences.language);
-
-  // Get time limit based on difficulty
-  const timeLimit = questionService.getTimeLimit(preferences.difficulty);
-  game.questionTimeLimit = timeLimit * 1000; // Convert to milliseconds
-
-  // Create Socket.io room (only for human player, bots don't need sockets)
-  const players = Array.from(game.players.values());
-  players.forEach(player => {
-    if (!player.isBot) {
-      const socket = io.sockets.sockets.get(player.socketId);
-      if (socket) {
-        socket.join(`match-${matchId}`);
-      }
-    }
-  });
-
-  // Notify all human players match found
-  io.to(`match-${matchId}`).emit('match_found', {
-    matchId,
-    players: players.map(p => ({
-      id: p.id,
-      username: p.username
-    })),
-    preferences
-  });
-
-  // Start game after countdown
-  setTimeout(() => {
-    startGame(io, matchId, game);
-  }, GAME_START_COUNTDOWN);
+  await startMatch(io, matchId, game);
 }
 
 module.exports = {
   registerHandlers,
   handleDisconnect,
+  syncClock,
   getActiveGamesCount,
   getQueueSize,
-  startBotMatch
+  startBotMatch,
+  failMatchStart
 };
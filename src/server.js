@@ -4,6 +4,9 @@ const { createServer } = require('http');
 const { Server } = require('socket.io');
 const gameHandlers = require('./handlers/gameHandlers');
 const matchmakingService = require('./services/MatchmakingService');
+const { getSupportedLocales, resolveLocale, t } = require('./utils/i18n');
+const { QUESTION_STATUSES } = require('./utils/questionSchema');
+const { isValidSeed } = require('./utils/seededRandom');
 
 // Initialize Stripe with error checking
 if (!process.env.STRIPE_SECRET_KEY) {
@@ -46,6 +49,12 @@ matchmakingService.setIo(io);
 // Middleware
 app.use(express.json());
 
+// Locale for responses and question text: ?locale=, a "locale" body field, or Accept-Language
+app.use((req, res, next) => {
+  req.locale = resolveLocale(req.query.locale || req.body?.locale || req.get('Accept-Language'));
+  next();
+});
+
 // CORS middleware for HTTP endpoints (practice mode API)
 app.use((req, res, next) => {
   const origin = req.headers.origin;
@@ -61,7 +70,7 @@ app.use((req, res, next) => {
   }
 
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Key, X-Admin-User');
   res.header('Access-Control-Allow-Credentials', 'true');
 
   // Handle preflight requests
@@ -90,6 +99,10 @@ app.get('/api/stats', (req, res) => {
 // Leaderboard endpoints
 const db = require('./config/database');
 const questionService = require('./services/QuestionService');
+const analyticsService = require('./services/AnalyticsService');
+const calibrationService = require('./services/CalibrationService');
+const questionAuthoringService = require('./services/QuestionAuthoringService');
+const questionReportService = require('./services/QuestionReportService');
 
 // Get global leaderboard (top 50 by total score)
 app.get('/api/leaderboard', async (req, res) => {
@@ -114,7 +127,7 @@ app.get('/api/leaderboard', async (req, res) => {
     console.error('Error fetching leaderboard:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch leaderboard'
+      error: t(req.locale, 'leaderboardFetchFailed')
     });
   }
 });
@@ -139,7 +152,7 @@ app.get('/api/leaderboard/top-scores', async (req, res) => {
     console.error('Error fetching top scores:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch top scores'
+      error: t(req.locale, 'topScoresFetchFailed')
     });
   }
 });
@@ -153,7 +166,7 @@ app.get('/api/player/:username', async (req, res) => {
     if (!stats) {
       return res.status(404).json({
         success: false,
-        error: 'Player not found'
+        error: t(req.locale, 'playerNotFound')
       });
     }
 
@@ -173,7 +186,7 @@ app.get('/api/player/:username', async (req, res) => {
     console.error('Error fetching player stats:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch player stats'
+      error: t(req.locale, 'playerStatsFetchFailed')
     });
   }
 });
@@ -183,19 +196,437 @@ app.get('/api/player/:username', async (req, res) => {
 // Get available languages and difficulties
 app.get('/api/game/settings', (req, res) => {
   try {
-    const languages = questionService.getAvailableLanguages();
+    const languages = questionService.getLanguageOptions();
     const difficulties = questionService.getDifficulties();
+    const topics = questionService.getTopics();
+    const locales = getSupportedLocales();
+
+    const scoring = questionService.getScoringPolicies();
 
     res.json({
       success: true,
       languages,
-      difficulties
+      difficulties,
+      topics,
+      locales,
+      scoring
     });
   } catch (error) {
     console.error('Error fetching game settings:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch settings'
+      error: t(req.locale, 'settingsFetchFailed')
+    });
+  }
+});
+
+// Icon of a language pack (see src/data/languages/)
+app.get('/api/languages/:id/icon', (req, res) => {
+  const pack = questionService.getLanguagePack(req.params.id);
+
+  if (!pack || !pack.iconPath) {
+    return res.status(404).json({
+      success: false,
+      error: t(req.locale, 'invalidLanguage', { language: req.params.id })
+    });
+  }
+
+  res.sendFile(pack.iconPath, { maxAge: '1d' });
+});
+
+// ========================================
+// ADMIN API
+// ========================================
+
+// Require the shared admin key (ADMIN_API_KEY) in the X-Admin-Key header
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: t(req.locale, 'adminNotConfigured')
+    });
+  }
+
+  if (req.get('X-Admin-Key') !== adminKey) {
+    return res.status(401).json({
+      success: false,
+      error: t(req.locale, 'unauthorized')
+    });
+  }
+
+  next();
+};
+
+// Authoring changes are attributed to the X-Admin-User header in the audit trail
+const requireAdminUser = (req, res, next) => {
+  const adminUser = (req.get('X-Admin-User') || '').trim();
+
+  if (!adminUser) {
+    return res.status(400).json({
+      success: false,
+      error: t(req.locale, 'adminUserRequired')
+    });
+  }
+
+  req.adminUser = adminUser.slice(0, 100);
+  next();
+};
+
+// Turn a failed authoring result into an error response
+const sendAuthoringError = (req, res, result) => {
+  const errors = {
+    notFound: [404, () => t(req.locale, 'questionNotFound')],
+    invalidLanguage: [400, () => t(req.locale, 'invalidLanguage', { language: req.body.language })],
+    invalid: [422, () => result.error],
+    duplicate: [409, () => t(req.locale, 'questionIdTaken')],
+    notEditable: [409, () => t(req.locale, 'questionNotEditable')],
+    invalidTransition: [409, () => t(req.locale, 'invalidStatusTransition', { from: result.from, to: result.to })]
+  };
+  const [status, message] = errors[result.reason];
+
+  res.status(status).json({
+    success: false,
+    error: message()
+  });
+};
+
+// List questions in every status (filter with ?status= and ?language=)
+app.get('/api/admin/questions', requireAdmin, async (req, res) => {
+  try {
+    const { status = null, language = null } = req.query;
+
+    if (status && !QUESTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: t(req.locale, 'invalidQuestionStatus', { status })
+      });
+    }
+
+    const questions = await questionAuthoringService.listQuestions({ status, language });
+
+    res.json({
+      success: true,
+      questions
+    });
+  } catch (error) {
+    console.error('Error listing questions:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'questionsFetchFailed')
+    });
+  }
+});
+
+// Get a question (any status) with its audit trail
+app.get('/api/admin/questions/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await questionAuthoringService.getQuestion(req.params.id);
+
+    if (!result.success) {
+      return sendAuthoringError(req, res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching question:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'questionsFetchFailed')
+    });
+  }
+});
+
+// Preview a question as players will see it (in ?locale=), with its answer
+app.get('/api/admin/questions/:id/preview', requireAdmin, async (req, res) => {
+  try {
+    const result = await questionAuthoringService.previewQuestion(req.params.id, req.locale);
+
+    if (!result.success) {
+      return sendAuthoringError(req, res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error previewing question:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'questionsFetchFailed')
+    });
+  }
+});
+
+// Create a question as a draft. Body: a question in the question file format plus "language".
+app.post('/api/admin/questions', requireAdmin, requireAdminUser, async (req, res) => {
+  try {
+    const { language, ...question } = req.body;
+    const result = await questionAuthoringService.createQuestion(question, language, req.adminUser);
+
+    if (!result.success) {
+      return sendAuthoringError(req, res, result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error creating question:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'questionSaveFailed')
+    });
+  }
+});
+
+// Replace the content of a draft or in-review question
+app.put('/api/admin/questions/:id', requireAdmin, requireAdminUser, async (req, res) => {
+  try {
+    const result = await questionAuthoringService.updateQuestion(req.params.id, req.body, req.adminUser);
+
+    if (!result.success) {
+      return sendAuthoringError(req, res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating question:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'questionSaveFailed')
+    });
+  }
+});
+
+// Move a question through the workflow: { status: 'in_review' | 'published' | 'retired' | 'draft', note? }
+app.post('/api/admin/questions/:id/status', requireAdmin, requireAdminUser, async (req, res) => {
+  try {
+    const { status, note = null } = req.body;
+    const result = await questionAuthoringService.changeStatus(req.params.id, status, req.adminUser, note);
+
+    if (!result.success) {
+      return sendAuthoringError(req, res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error changing question status:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'questionSaveFailed')
+    });
+  }
+});
+
+// Reload the question bank from its source without restarting the server
+app.post('/api/admin/questions/reload', requireAdmin, async (req, res) => {
+  const result = await questionService.reloadQuestions();
+
+  if (!result.success) {
+    return res.status(422).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  res.json({
+    success: true,
+    counts: result.counts
+  });
+});
+
+// Measure question difficulty from answer data, save it and reload the bank so selection uses it.
+// ?dryRun=true only returns the report.
+app.post('/api/admin/questions/calibrate', requireAdmin, async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const report = await calibrationService.calibrate({ dryRun });
+
+    if (!dryRun) {
+      await questionService.reloadQuestions();
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Error calibrating question difficulty:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'calibrationFailed')
+    });
+  }
+});
+
+// Turn a failed report result into an error response
+const sendReportError = (req, res, result) => {
+  const errors = {
+    notFound: [404, () => t(req.locale, 'questionNotFound')],
+    invalidReason: [400, () => t(req.locale, 'invalidReportReason', { reason: req.body.reason })],
+    alreadyReported: [409, () => t(req.locale, 'questionAlreadyReported')],
+    noOpenReports: [404, () => t(req.locale, 'noOpenReports')]
+  };
+  const [status, message] = errors[result.reason];
+
+  res.status(status).json({
+    success: false,
+    error: message()
+  });
+};
+
+// Questions with the most open reports (?includeResolved=true also lists fully reviewed ones, ?limit= up to 200)
+app.get('/api/admin/reports', requireAdmin, async (req, res) => {
+  try {
+    const includeResolved = req.query.includeResolved === 'true';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const questions = await questionReportService.listReportedQuestions({ includeResolved, limit });
+
+    res.json({
+      success: true,
+      questions
+    });
+  } catch (error) {
+    console.error('Error listing reported questions:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'reportsFetchFailed')
+    });
+  }
+});
+
+// Every report of a question
+app.get('/api/admin/questions/:id/reports', requireAdmin, async (req, res) => {
+  try {
+    const result = await questionReportService.getReports(req.params.id);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error fetching question reports:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'reportsFetchFailed')
+    });
+  }
+});
+
+// Mark a question's open reports as reviewed and put it back into rotation. Body: { note? }
+app.post('/api/admin/questions/:id/reports/resolve', requireAdmin, requireAdminUser, async (req, res) => {
+  try {
+    const { note = null } = req.body;
+    const result = await questionReportService.resolveReports(req.params.id, req.adminUser, note);
+
+    if (!result.success) {
+      return sendReportError(req, res, result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error resolving question reports:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'reportSaveFailed')
+    });
+  }
+});
+
+// The questions a saved match dealt, in order, dealt again from its seed to check the draw still reproduces.
+// `reproduced: false` means the bank changed since (questions retired, recalibrated or reported).
+app.get('/api/admin/matches/:id/questions', requireAdmin, async (req, res) => {
+  try {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const match = uuidRegex.test(req.params.id) ? await db.getMatchSelection(req.params.id) : null;
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        error: t(req.locale, 'matchNotFound')
+      });
+    }
+
+    if (!match.selection) {
+      return res.status(409).json({
+        success: false,
+        error: t(req.locale, 'matchNotReplayable')
+      });
+    }
+
+    // A seed that isn't a 32-bit value (or disagrees with the match row) can't deal the same questions
+    if (!isValidSeed(match.selection.seed) || (match.seed !== null && match.seed !== match.selection.seed)) {
+      return res.status(409).json({
+        success: false,
+        error: t(req.locale, 'matchSeedInvalid')
+      });
+    }
+
+    const { questions, reproduced } = await questionService.replayMatchQuestions(match.selection);
+
+    res.json({
+      success: true,
+      matchId: req.params.id,
+      seed: match.seed,
+      selection: match.selection,
+      reproduced,
+      questions: match.selection.questionIds.map((id, index) => {
+        const question = questionService.findQuestionById(id);
+        return {
+          number: index + 1,
+          id,
+          language: question ? question.language : null,
+          question: question ? question.question : null
+        };
+      }),
+      replayedQuestionIds: questions.map(q => q.id)
+    });
+  } catch (error) {
+    console.error('Error replaying match questions:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'matchReplayFailed')
+    });
+  }
+});
+
+// Answer statistics for a question: solve rate, median response time and which wrong answers get picked.
+// Admin only - the wrong-answer breakdown gives away which choices are wrong.
+app.get('/api/questions/:id/stats', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const question = questionService.findQuestionById(id);
+    const stats = await analyticsService.getQuestionStats(id);
+
+    // Retired questions still have stats; unknown IDs with no answers are a 404
+    if (!question && stats.totalResponses === 0) {
+      return res.status(404).json({
+        success: false,
+        error: t(req.locale, 'questionNotFound')
+      });
+    }
+
+    res.json({
+      success: true,
+      question: question && {
+        id: question.id,
+        language: question.language,
+        type: question.type,
+        difficulty: question.difficulty,
+        measuredDifficulty: question.measuredDifficulty || null,
+        difficultyRating: question.difficultyRating ?? null
+      },
+      stats: {
+        ...stats,
+        wrongAnswers: stats.wrongAnswers.map(answer => ({
+          ...answer,
+          text: question?.choices.find(c => c.id === answer.answerId)?.text
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching question stats:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'questionStatsFetchFailed')
     });
   }
 });
@@ -208,48 +639,98 @@ app.get('/api/practice/questions', (req, res) => {
     const count = parseInt(req.query.count) || 5;
     const language = req.query.language || 'javascript';
     const difficulty = req.query.difficulty || 'medium';
+    const topic = req.query.topic || null;
 
-    // Validate language and difficulty
-    const availableLanguages = questionService.getAvailableLanguages();
+    // Validate language (or polyglot), difficulty and topic
     const availableDifficulties = questionService.getDifficulties();
 
-    if (!availableLanguages.find(l => l.id === language)) {
+    if (!questionService.isKnownLanguage(language)) {
       return res.status(400).json({
         success: false,
-        error: `Invalid language: ${language}`
+        error: t(req.locale, 'invalidLanguage', { language })
       });
     }
 
     if (!availableDifficulties.find(d => d.id === difficulty)) {
       return res.status(400).json({
         success: false,
-        error: `Invalid difficulty: ${difficulty}`
+        error: t(req.locale, 'invalidDifficulty', { difficulty })
+      });
+    }
+
+    if (topic && !questionService.isKnownTopic(topic)) {
+      return res.status(400).json({
+        success: false,
+        error: t(req.locale, 'invalidTopic', { topic })
       });
     }
 
-    const questions = questionService.getQuestionsForMatch(Math.min(count, 10), language);
+    const questions = questionService.getQuestionsForMatch(Math.min(count, 10), language, difficulty, { topic });
     const timeLimit = questionService.getTimeLimit(difficulty);
 
-    // Return questions without correct answers
-    const questionsForClient = questions.map(q => ({
-      id: q.id,
-      code: q.code,
-      question: q.question,
-      choices: q.choices
-    }));
+    // Return questions without correct answers, in the requested locale
+    const questionsForClient = questions.map(q => {
+      const { question, choices } = questionService.localizeQuestion(q, req.locale);
+      return {
+        id: q.id,
+        type: q.type,
+        language: q.language,
+        languageName: questionService.getLanguageName(q.language),
+        syntax: questionService.getSyntax(q.language),
+        code: q.code,
+        codeLines: questionService.getHighlightedCode(q),
+        question,
+        choices
+      };
+    });
 
     res.json({
       success: true,
       questions: questionsForClient,
       timeLimit,
       language,
-      difficulty
+      difficulty,
+      locale: req.locale
     });
   } catch (error) {
     console.error('Error fetching practice questions:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch questions'
+      error: t(req.locale, 'questionsFetchFailed')
+    });
+  }
+});
+
+// Report a wrong or ambiguous practice question. Body: { questionId, reason, details?, profileToken? }
+// Only a report from a verified profile counts towards flagging; any other is stored anonymously.
+app.post('/api/practice/report-question', async (req, res) => {
+  try {
+    const { questionId, reason, details = null, profileToken = null } = req.body;
+    const profile = typeof profileToken === 'string' && profileToken
+      ? await db.getPlayerByToken(profileToken)
+      : null;
+
+    const result = await questionReportService.reportQuestion({
+      questionId,
+      playerId: profile ? profile.id : null,
+      reason,
+      details,
+      mode: 'practice'
+    });
+
+    if (!result.success) {
+      return sendReportError(req, res, result);
+    }
+
+    res.json({
+      success: true,
+      message: t(req.locale, 'questionReported')
+    });
+  } catch (error) {
+    console.error('Error reporting question:', error);
+    res.status(500).json({
+      success: false,
+      error: t(req.locale, 'reportSaveFailed')
     });
   }
 });
@@ -257,36 +738,67 @@ app.get('/api/practice/questions', (req, res) => {
 // Check answer for practice mode (client-side scoring) with language context
 app.post('/api/practice/check-answer', (req, res) => {
   try {
-    const { questionId, answerId, language = 'javascript' } = req.body;
+    const { questionId, answerId, language = 'javascript', difficulty = 'medium', responseTime = null, streak = 0, playerId = null } = req.body;
 
-    if (!questionId || !answerId) {
+    if (!questionId || answerId === undefined || answerId === null || answerId === '') {
       return res.status(400).json({
         success: false,
-        error: 'Missing questionId or answerId'
+        error: t(req.locale, 'missingQuestionOrAnswer')
       });
     }
 
-    const result = questionService.checkAnswer(questionId, answerId, language);
+    // Practice scoring is client-side, so the client reports its own timing and streak.
+    // Its timing is held to the round it played: 0 up to the time limit of its difficulty.
+    const timeLimit = questionService.getTimeLimit(difficulty) * 1000;
+    const clampedResponseTime = Number.isFinite(responseTime)
+      ? Math.min(Math.max(responseTime, 0), timeLimit)
+      : null;
+    const result = questionService.checkAnswer(questionId, answerId, language, {
+      responseTime: clampedResponseTime,
+      streak: Number.isInteger(streak) && streak > 0 ? streak : 0,
+      locale: req.locale
+    });
+
+    if (result.invalidAnswer) {
+      return res.status(400).json({
+        success: false,
+        error: t(req.locale, 'invalidAnswer')
+      });
+    }
 
     if (!result.isValid) {
       return res.status(404).json({
         success: false,
-        error: result.error
+        error: t(req.locale, 'questionNotFound')
       });
     }
 
+    // Practice answers feed question analytics too (anonymous players are stored without an ID)
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    analyticsService.recordResponse({
+      playerId: typeof playerId === 'string' && uuidRegex.test(playerId) ? playerId : null,
+      questionId,
+      answerId,
+      isCorrect: result.isCorrect,
+      responseTime: clampedResponseTime,
+      language: result.language,
+      mode: 'practice'
+    });
+
     res.json({
       success: true,
       correct: result.isCorrect,
       correctAnswer: result.correctAnswer,
       explanation: result.explanation,
-      points: result.points
+      points: result.points,
+      pointsBreakdown: result.pointsBreakdown,
+      locale: req.locale
     });
   } catch (error) {
     console.error('Error checking answer:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to check answer'
+      error: t(req.locale, 'checkAnswerFailed')
     });
   }
 });
@@ -305,7 +817,7 @@ app.get('/api/profile/:id', async (req, res) => {
     if (!uuidRegex.test(id)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid player ID format'
+        error: t(req.locale, 'invalidPlayerId')
       });
     }
 
@@ -315,7 +827,7 @@ app.get('/api/profile/:id', async (req, res) => {
     if (!data) {
       return res.status(404).json({
         success: false,
-        error: 'Player profile not found'
+        error: t(req.locale, 'playerProfileNotFound')
       });
     }
 
@@ -329,6 +841,7 @@ app.get('/api/profile/:id', async (req, res) => {
         wins: data.profile.wins || 0,
         totalScore: data.profile.total_score || 0,
         bestScore: data.profile.best_score || 0,
+        bestStreak: data.profile.best_streak || 0,
         avgScore: parseFloat(data.profile.avg_score) || 0,
         rankBadge: data.profile.rank_badge || 'Intern',
         lastPlayedAt: data.profile.last_played_at,
@@ -346,7 +859,7 @@ app.get('/api/profile/:id', async (req, res) => {
     console.error('Error fetching player profile:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch player profile'
+      error: t(req.locale, 'playerProfileFetchFailed')
     });
   }
 });
@@ -362,7 +875,7 @@ app.put('/api/profile/:id/username', async (req, res) => {
     if (!uuidRegex.test(id)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid player ID format'
+        error: t(req.locale, 'invalidPlayerId')
       });
     }
 
@@ -370,21 +883,21 @@ app.put('/api/profile/:id/username', async (req, res) => {
     if (!username || username.trim().length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Username cannot be empty'
+        error: t(req.locale, 'usernameEmpty')
       });
     }
 
     if (username.trim().length < 3) {
       return res.status(400).json({
         success: false,
-        error: 'Username must be at least 3 characters'
+        error: t(req.locale, 'usernameTooShort', { min: 3 })
       });
     }
 
     if (username.trim().length > 20) {
       return res.status(400).json({
         success: false,
-        error: 'Username must be 20 characters or less'
+        error: t(req.locale, 'usernameTooLong', { max: 20 })
       });
     }
 
@@ -394,7 +907,7 @@ app.put('/api/profile/:id/username', async (req, res) => {
     if (!result.success) {
       return res.status(404).json({
         success: false,
-        error: result.error || 'Player not found'
+        error: t(req.locale, 'playerNotFound')
       });
     }
 
@@ -406,7 +919,7 @@ app.put('/api/profile/:id/username', async (req, res) => {
     console.error('Error updating username:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update username'
+      error: t(req.locale, 'usernameUpdateFailed')
     });
   }
 });
@@ -419,7 +932,7 @@ app.post('/api/profile/restore', async (req, res) => {
     if (!profileToken) {
       return res.status(400).json({
         success: false,
-        error: 'Missing profileToken'
+        error: t(req.locale, 'missingProfileToken')
       });
     }
 
@@ -429,7 +942,7 @@ app.post('/api/profile/restore', async (req, res) => {
     if (!player) {
       return res.status(404).json({
         success: false,
-        error: 'Profile not found'
+        error: t(req.locale, 'profileNotFound')
       });
     }
 
@@ -443,6 +956,7 @@ app.post('/api/profile/restore', async (req, res) => {
         wins: player.wins || 0,
         totalScore: player.total_score || 0,
         bestScore: player.best_score || 0,
+        bestStreak: player.best_streak || 0,
         avgScore: parseFloat(player.avg_score) || 0,
         rankBadge: player.rank_badge || 'Intern',
         lastPlayedAt: player.last_played_at
@@ -452,7 +966,7 @@ app.post('/api/profile/restore', async (req, res) => {
     console.error('Error restoring profile:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to restore profile'
+      error: t(req.locale, 'profileRestoreFailed')
     });
   }
 });
@@ -474,7 +988,7 @@ app.get('/api/payment/status/:playerId', async (req, res) => {
     console.error('Error checking payment status:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to check payment status'
+      error: t(req.locale, 'paymentStatusFailed')
     });
   }
 });
@@ -487,7 +1001,7 @@ app.post('/api/payment/create-intent', async (req, res) => {
     if (!playerId || !amount) {
       return res.status(400).json({
         success: false,
-        error: 'Missing playerId or amount'
+        error: t(req.locale, 'missingPaymentAmount')
       });
     }
 
@@ -512,7 +1026,7 @@ app.post('/api/payment/create-intent', async (req, res) => {
     console.error('Error creating payment intent:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create payment intent'
+      error: t(req.locale, 'paymentIntentFailed')
     });
   }
 });
@@ -525,7 +1039,7 @@ app.post('/api/payment/upgrade', async (req, res) => {
     if (!playerId || !stripePaymentId) {
       return res.status(400).json({
         success: false,
-        error: 'Missing playerId or stripePaymentId'
+        error: t(req.locale, 'missingPaymentId')
       });
     }
 
@@ -539,7 +1053,7 @@ app.post('/api/payment/upgrade', async (req, res) => {
       if (stripePayment.status !== 'succeeded') {
         return res.status(400).json({
           success: false,
-          error: 'Payment not completed. Status: ' + stripePayment.status
+          error: t(req.locale, 'paymentNotCompleted', { status: stripePayment.status })
         });
       }
 
@@ -547,7 +1061,7 @@ app.post('/api/payment/upgrade', async (req, res) => {
       if (stripePayment.metadata.playerId !== playerId) {
         return res.status(400).json({
           success: false,
-          error: 'Payment does not match player ID'
+          error: t(req.locale, 'paymentPlayerMismatch')
         });
       }
     } else {
@@ -560,19 +1074,19 @@ app.post('/api/payment/upgrade', async (req, res) => {
       res.json({
         success: true,
         profileToken: result.profileToken,
-        message: 'Player upgraded to paid status'
+        message: t(req.locale, 'playerUpgraded')
       });
     } else {
       res.status(404).json({
         success: false,
-        error: 'Player not found'
+        error: t(req.locale, 'playerNotFound')
       });
     }
   } catch (error) {
     console.error('Error upgrading player:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to upgrade player'
+      error: t(req.locale, 'playerUpgradeFailed')
     });
   }
 });
@@ -584,25 +1098,45 @@ io.on('connection', (socket) => {
   // Register all game event handlers
   gameHandlers.registerHandlers(socket, io);
 
+  // Measure the client's clock offset and round trip so question deadlines mean the same on both ends
+  gameHandlers.syncClock(socket);
+
   socket.on('disconnect', () => {
     console.log(`[Disconnect] Player disconnected: ${socket.id}`);
-    gameHandlers.handleDisconnect(socket, io);
+    gameHandlers.handleDisconnect(socket);
   });
 });
 
-// Start server
+// Start server once the question bank is loaded
 const PORT = process.env.PORT || 3000;
 const HOST = '0.0.0.0'; // Listen on all interfaces for Railway
-httpServer.listen(PORT, HOST, () => {
-  console.log(`\n🚀 BugHunt Live Server running on ${HOST}:${PORT}`);
-  console.log(`   Health: http://localhost:${PORT}/health`);
-  console.log(`   Stats:  http://localhost:${PORT}/api/stats\n`);
-});
+questionService.loadQuestions()
+  .then(() => {
+    httpServer.listen(PORT, HOST, () => {
+      console.log(`\n🚀 BugHunt Live Server running on ${HOST}:${PORT}`);
+      console.log(`   Health: http://localhost:${PORT}/health`);
+      console.log(`   Stats:  http://localhost:${PORT}/api/stats\n`);
+
+      // Write recorded answers to question_responses in batches
+      analyticsService.start();
+
+      // Pick up question edits without a redeploy (set QUESTION_HOT_RELOAD=false to disable)
+      if (process.env.QUESTION_HOT_RELOAD !== 'false') {
+        questionService.watchQuestions();
+      }
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Could not load questions, server not started:', error);
+    process.exit(1);
+  });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, closing server...');
-  httpServer.close(() => {
+  questionService.unwatchQuestions();
+  httpServer.close(async () => {
+    await analyticsService.stop();
     console.log('Server closed');
     process.exit(0);
   });
@@ -0,0 +1,171 @@
+const db = require('../config/database');
+
+// Write buffered answers once this many are waiting...
+const BATCH_SIZE = 50;
+
+// ...or at least this often
+const FLUSH_INTERVAL_MS = 10000;
+
+// Answers kept for retry while the database is unreachable (oldest are dropped first)
+const MAX_BUFFERED_RESPONSES = 5000;
+
+// Postgres data exceptions (SQLSTATE class 22) and constraint violations (class 23)
+// are about the rows written, not the connection
+const isDataError = error => /^2[23]/.test(error.code || '');
+
+class AnalyticsService {
+  constructor() {
+    this.buffer = [];
+    this.flushTimer = null;
+    this.flushing = null; // Promise of the write in progress
+  }
+
+  // Stored form of an answer: choice id, sorted comma-separated choice ids (multi) or line number
+  // (null for a round that timed out without an answer)
+  formatAnswer(answer) {
+    if (answer === null) {
+      return null;
+    }
+    return Array.isArray(answer) ? [...answer].sort().join(',') : String(answer);
+  }
+
+  // Queue one human answer for question_responses
+  // response: { matchId, playerId, questionId, answerId, isCorrect, responseTime, language, mode, answeredAt }
+  // answeredAt is when the answer arrived (epoch ms), now if not given.
+  // A timed-out round is recorded with answerId null, isCorrect false, the time limit as responseTime
+  // and the question's deadline as answeredAt
+  recordResponse({ matchId = null, playerId = null, questionId, answerId, isCorrect, responseTime = null, language, mode, answeredAt = null }) {
+    this.buffer.push({
+      matchId,
+      playerId,
+      questionId,
+      answerId: this.formatAnswer(answerId),
+      isCorrect,
+      responseTimeMs: Number.isFinite(responseTime) ? Math.round(responseTime) : null,
+      language,
+      mode,
+      answeredAt: Number.isFinite(answeredAt) ? new Date(answeredAt) : new Date()
+    });
+
+    if (this.buffer.length >= BATCH_SIZE) {
+      this.flush();
+    }
+  }
+
+  // Queue every answer the human players gave in a finished match, and every round they let time out -
+  // otherwise questions people fail to answer in time would look easier than they are
+  recordMatchResponses(matchId, game) {
+    // Answers are filed under the language of their question (polyglot matches mix languages)
+    const fallbackLanguage = game.preferences?.language || 'javascript';
+    const questionLanguages = new Map((game.questions || []).map(q => [q.id, q.language]));
+
+    game.players.forEach(player => {
+      if (player.isBot) {
+        return;
+      }
+
+      player.answers.forEach(answer => {
+        this.recordResponse({
+          matchId,
+          playerId: player.id,
+          questionId: answer.questionId,
+          answerId: answer.answerId,
+          isCorrect: answer.isCorrect,
+          responseTime: answer.responseTime,
+          language: questionLanguages.get(answer.questionId) || fallbackLanguage,
+          mode: 'multiplayer',
+          answeredAt: answer.timestamp
+        });
+      });
+
+      (player.timedOut || []).forEach(({ questionId, deadline }) => {
+        this.recordResponse({
+          matchId,
+          playerId: player.id,
+          questionId,
+          answerId: null,
+          isCorrect: false,
+          responseTime: game.questionTimeLimit,
+          language: questionLanguages.get(questionId) || fallbackLanguage,
+          mode: 'multiplayer',
+          answeredAt: deadline
+        });
+      });
+    });
+  }
+
+  // Write everything buffered so far. Concurrent calls share one write.
+  async flush() {
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    if (this.buffer.length === 0) {
+      return;
+    }
+
+    const batch = this.buffer;
+    this.buffer = [];
+
+    this.flushing = db.insertQuestionResponses(batch)
+      .catch(error => {
+        // The database rejected the rows themselves - retrying would fail the same way forever
+        if (isDataError(error)) {
+          console.error(`Dropped ${batch.length} question responses the database rejected:`, error.message);
+          return;
+        }
+        // Put the batch back for the next attempt, dropping the oldest if the database stays down
+        this.buffer = [...batch, ...this.buffer].slice(-MAX_BUFFERED_RESPONSES);
+        console.warn(`Could not save ${batch.length} question responses, will retry:`, error.message);
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+
+    return this.flushing;
+  }
+
+  // Flush on a timer so quiet periods still get written
+  start() {
+    if (this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+    this.flushTimer.unref();
+  }
+
+  // Stop the timer and write what is left
+  async stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.flushing;
+    await this.flush();
+  }
+
+  /**
+   * Solve rate, median response time, timed-out rounds and wrong-answer distribution for a question
+   * @param {string} questionId - Question ID
+   * @returns {Promise<object>}
+   */
+  async getQuestionStats(questionId) {
+    const stats = await db.getQuestionResponseStats(questionId);
+    const wrongTotal = stats.totalResponses - stats.correctResponses - stats.timedOutResponses;
+
+    return {
+      questionId,
+      totalResponses: stats.totalResponses,
+      correctResponses: stats.correctResponses,
+      timedOutResponses: stats.timedOutResponses,
+      solveRate: stats.totalResponses > 0 ? stats.correctResponses / stats.totalResponses : null,
+      medianResponseTimeMs: stats.medianResponseTimeMs,
+      wrongAnswers: stats.wrongAnswers.map(({ answerId, count }) => ({
+        answerId,
+        count,
+        share: count / wrongTotal
+      }))
+    };
+  }
+}
+
+// Singleton instance
+module.exports = new AnalyticsService();
@@ -98,21 +98,43 @@ class BotService {
    * Get bot's answer for a question
    * @param {object} bot - The bot object
    * @param {object} question - The question object with choices
-   * @param {string} correctAnswerId - The correct answer ID
-   * @returns {string} - The chosen answer ID
+   * @param {string|Array|number} correctAnswer - The correct answer (choice ID, choice IDs or line number)
+   * @returns {string|Array|number} - The chosen answer in the same shape
    */
-  getBotAnswer(bot, question, correctAnswerId) {
+  getBotAnswer(bot, question, correctAnswer) {
     const answerCorrectly = this.shouldAnswerCorrectly(bot);
 
     if (answerCorrectly) {
-      return correctAnswerId;
-    } else {
-      // Choose a random wrong answer
-      const wrongChoices = question.choices
-        .map(choice => choice.id)
-        .filter(id => id !== correctAnswerId);
+      return correctAnswer;
+    }
 
-      return wrongChoices[Math.floor(Math.random() * wrongChoices.length)];
+    switch (question.type) {
+      case 'line': {
+        // Click a random line other than the buggy one
+        const lineCount = question.code.split('\n').length;
+        const wrongLines = Array.from({ length: lineCount }, (_, i) => i + 1)
+          .filter(line => line !== correctAnswer);
+        return wrongLines.length > 0
+          ? wrongLines[Math.floor(Math.random() * wrongLines.length)]
+          : correctAnswer;
+      }
+      case 'multi': {
+        // Flip one random choice in or out of the correct selection (never leaving it empty)
+        const choiceIds = question.choices.map(choice => choice.id)
+          .filter(id => !(correctAnswer.length === 1 && correctAnswer[0] === id));
+        const flipped = choiceIds[Math.floor(Math.random() * choiceIds.length)];
+        return correctAnswer.includes(flipped)
+          ? correctAnswer.filter(id => id !== flipped)
+          : [...correctAnswer, flipped];
+      }
+      default: {
+        // Choose a random wrong answer
+        const wrongChoices = question.choices
+          .map(choice => choice.id)
+          .filter(id => id !== correctAnswer);
+
+        return wrongChoices[Math.floor(Math.random() * wrongChoices.length)];
+      }
     }
   }
 
@@ -120,12 +142,12 @@ class BotService {
    * Simulate bot answering a question
    * @param {object} bot - The bot object
    * @param {object} question - The question object
-   * @param {string} correctAnswerId - The correct answer ID
+   * @param {string|Array|number} correctAnswer - The correct answer
    * @param {function} submitCallback - Callback to submit the answer
    */
-  simulateBotAnswer(bot, question, correctAnswerId, submitCallback) {
+  simulateBotAnswer(bot, question, correctAnswer, submitCallback) {
     const responseTime = this.getResponseTime(bot);
-    const answerId = this.getBotAnswer(bot, question, correctAnswerId);
+    const answerId = this.getBotAnswer(bot, question, correctAnswer);
 
     // Schedule bot answer after response time
     setTimeout(() => {
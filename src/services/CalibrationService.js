@@ -0,0 +1,109 @@
+const db = require('../config/database');
+const questionService = require('./QuestionService');
+
+// A question needs this many answers before its measured difficulty is trusted
+const MIN_RESPONSES = 20;
+
+// Share of the rating that comes from the (skill-adjusted) solve rate; the rest is response time
+const SOLVE_RATE_WEIGHT = 0.75;
+
+// Pseudo-answers at the global solve rate added to every player's record, so a player
+// with a handful of lucky answers isn't treated as an expert
+const SKILL_PRIOR_WEIGHT = 10;
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+class CalibrationService {
+  // Rate a question from 0 (trivial) to 1 (hardest).
+  // The solve rate is corrected for who answered: a question only strong players saw looks
+  // easier than it is, so each answer is measured against the answering player's own skill.
+  // Response time is the median relative to the typical answer; twice as slow counts as hardest.
+  rateQuestion(stats, { globalSolveRate, globalMedianResponseTimeMs }) {
+    const adjustedSolveRate = clamp(globalSolveRate + stats.skillResidual, 0, 1);
+    const timeScore = stats.medianResponseTimeMs === null || !globalMedianResponseTimeMs
+      ? 0.5
+      : clamp(stats.medianResponseTimeMs / (2 * globalMedianResponseTimeMs), 0, 1);
+
+    return {
+      adjustedSolveRate,
+      rating: SOLVE_RATE_WEIGHT * (1 - adjustedSolveRate) + (1 - SOLVE_RATE_WEIGHT) * timeScore
+    };
+  }
+
+  // Difficulty tier a rating falls in - the 0-1 range is split evenly across the tiers
+  tierForRating(rating, tiers) {
+    return tiers[Math.min(Math.floor(rating * tiers.length), tiers.length - 1)];
+  }
+
+  /**
+   * Measure every question's difficulty from question_responses and save it to question_calibration.
+   * QuestionService picks the saved ratings up on its next (re)load.
+   * @param {object} options - { dryRun: compute the report without saving }
+   * @returns {Promise<object>} - Report: calibrated questions and the ones whose label disagrees
+   */
+  async calibrate({ dryRun = false } = {}) {
+    const data = await db.getCalibrationData(SKILL_PRIOR_WEIGHT);
+    const tiers = questionService.getDifficulties().map(d => d.id);
+
+    const calibrations = [];
+    let notEnoughResponses = 0;
+    let unknownQuestions = 0;
+
+    data.questions.forEach(stats => {
+      if (stats.responseCount < MIN_RESPONSES) {
+        notEnoughResponses++;
+        return;
+      }
+
+      // Retired or renamed questions have nothing to write back to
+      const question = questionService.findQuestionById(stats.questionId);
+      if (!question) {
+        unknownQuestions++;
+        return;
+      }
+
+      const { adjustedSolveRate, rating } = this.rateQuestion(stats, data);
+
+      calibrations.push({
+        questionId: question.id,
+        language: question.language,
+        labeledDifficulty: question.difficulty,
+        measuredDifficulty: this.tierForRating(rating, tiers),
+        difficultyRating: round3(rating),
+        responseCount: stats.responseCount,
+        solveRate: round3(stats.solveRate),
+        adjustedSolveRate: round3(adjustedSolveRate),
+        medianResponseTimeMs: stats.medianResponseTimeMs === null ? null : Math.round(stats.medianResponseTimeMs)
+      });
+    });
+
+    if (!dryRun && calibrations.length > 0) {
+      await db.saveQuestionCalibrations(calibrations);
+    }
+
+    // Biggest disagreements first (e.g. labelled easy, measured hard)
+    const tierGap = (c) => Math.abs(tiers.indexOf(c.measuredDifficulty) - tiers.indexOf(c.labeledDifficulty));
+    const mislabeled = calibrations
+      .filter(c => c.measuredDifficulty !== c.labeledDifficulty)
+      .sort((a, b) => (tierGap(b) - tierGap(a)) || (b.difficultyRating - a.difficultyRating));
+
+    return {
+      dryRun,
+      minResponses: MIN_RESPONSES,
+      globalSolveRate: data.globalSolveRate === null ? null : round3(data.globalSolveRate),
+      calibrated: calibrations.length,
+      skipped: { notEnoughResponses, unknownQuestions },
+      mislabeled,
+      calibrations
+    };
+  }
+}
+
+// Singleton instance
+module.exports = new CalibrationService();
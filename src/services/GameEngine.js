@@ -0,0 +1,586 @@
+/**
+ * GameEngine - Runs one match from countdown to final scores
+ *
+ * The engine owns the match's flow; socket handlers only forward player
+ * actions to it. A match moves through these phases:
+ *
+ *   waiting -> countdown -> question -> reveal -> question -> ... -> reveal -> finished
+ *
+ *   waiting   - created, questions still being dealt
+ *   countdown - players know their opponents; game_start follows
+ *   question  - the current question is open for answers until everyone
+ *               answered or its deadline passes
+ *   reveal    - round scores are shown before the next question
+ *   finished  - final scores sent (or the match was abandoned)
+ *
+ * Each phase has at most one timer, cancelled whenever the phase ends, and
+ * every transition checks the phase (and question) it expects - so a round
+ * ends once no matter how many answers, timeouts or disconnects race to end it.
+ *
+ * Each question goes out with its deadline on the server clock; clients count
+ * down to it using the offset measured by the clock-sync handshake. An answer
+ * is accepted if it arrives by the deadline plus the player's one-way latency
+ * (capped at ANSWER_GRACE_MS), so one sent as the client's timer ran out still
+ * counts; the round stays open that long after the deadline for it to land.
+ *
+ * Each player's streak of correct answers is kept on their record in the game
+ * state: a correct answer extends it (and raises the multiplier the scoring
+ * policy gives it), a wrong answer or a question left unanswered resets it.
+ *
+ * A player whose socket drops keeps their place and score for a grace window
+ * (REJOIN_GRACE_SECONDS); rounds don't wait for them meanwhile. Rejoining
+ * within it (rejoinPlayer) picks the match up where it is; after it they have
+ * left for good.
+ */
+
+const questionService = require('./QuestionService');
+const botService = require('./BotService');
+
+const PHASES = {
+  WAITING: 'waiting',
+  COUNTDOWN: 'countdown',
+  QUESTION: 'question',
+  REVEAL: 'reveal',
+  FINISHED: 'finished'
+};
+
+// Default phase lengths in milliseconds
+const DEFAULT_TIMINGS = {
+  countdown: 3000, // match_found -> game_start and the first question
+  questionTimeLimit: 30000, // used when the match has no time limit of its own
+  reveal: 3000, // round scores -> next question
+  answerGrace: parseInt(process.env.ANSWER_GRACE_MS) || 1000, // most an answer may arrive after the deadline
+  rejoinGrace: (parseInt(process.env.REJOIN_GRACE_SECONDS) || 30) * 1000 // disconnect -> left for good
+};
+
+// Allowance for latency varying from the measured round trip
+const LATENCY_JITTER_MS = 150;
+
+class GameEngine {
+  /**
+   * @param {object} game - Game state from MatchmakingService (players, questions, preferences, ...)
+   * @param {object} options
+   * @param {object} options.io - Socket.io server the match's events are sent through
+   * @param {object} options.timings - Overrides for DEFAULT_TIMINGS
+   * @param {Function} options.onFinish - Called once with the final scores when the last round ends
+   * @param {Function} options.onAbandon - Called once if every human leaves before the first question
+   */
+  constructor(game, { io, timings = {}, onFinish = () => {}, onAbandon = () => {} }) {
+    this.game = game;
+    this.matchId = game.matchId;
+    this.room = `match-${game.matchId}`;
+    this.io = io;
+    this.timings = { ...DEFAULT_TIMINGS, ...timings };
+    this.onFinish = onFinish;
+    this.onAbandon = onAbandon;
+    this.phase = PHASES.WAITING;
+    this.timer = null;
+    this.graceTimers = new Map(); // player ID -> timer that removes them if they don't rejoin
+  }
+
+  // ========================================
+  // PHASE TRANSITIONS
+  // ========================================
+
+  // Start the countdown once the questions are dealt and match_found is sent
+  start() {
+    if (this.phase !== PHASES.WAITING) {
+      return;
+    }
+
+    this.enterPhase(PHASES.COUNTDOWN);
+    this.schedule(this.timings.countdown, () => this.beginGame());
+  }
+
+  // Countdown over: announce the game and open the first question
+  beginGame() {
+    if (this.phase !== PHASES.COUNTDOWN) {
+      return;
+    }
+
+    const { game } = this;
+    game.status = 'in_progress';
+    game.startedAt = Date.now();
+
+    console.log(`[Game ${this.matchId}] Starting game with ${game.players.size} players (${game.preferences.language}/${game.preferences.difficulty})`);
+
+    this.io.to(this.room).emit('game_start', {
+      totalQuestions: game.questions.length,
+      questionTimeLimit: this.getQuestionTimeLimit() / 1000,
+      preferences: game.preferences
+    });
+
+    this.openQuestion(0);
+  }
+
+  // Send question `index` to every player and start its clock
+  openQuestion(index) {
+    const { game } = this;
+    if (index >= game.questions.length) {
+      this.finish();
+      return;
+    }
+
+    const question = game.questions[index];
+    game.currentQuestionIndex = index;
+    game.questionStartTime = Date.now();
+    game.questionDeadline = game.questionStartTime + this.getQuestionTimeLimit();
+    this.enterPhase(PHASES.QUESTION);
+
+    // Use the match's snapshot of the question (the bank may have been reloaded since),
+    // sent to each player in their own locale
+    this.getHumanPlayers().forEach(player => {
+      this.io.to(player.socketId).emit('question', {
+        ...questionService.toClientQuestion(question, player.locale),
+        questionNumber: index + 1,
+        totalQuestions: game.questions.length,
+        deadline: game.questionDeadline
+      });
+    });
+
+    console.log(`[Game ${this.matchId}] Sent question ${index + 1}/${game.questions.length}`);
+
+    // Bots answer on their own clocks; answers arriving after the round closed are ignored
+    (game.bots || []).forEach(bot => {
+      const botPlayer = game.players.get(bot.socketId);
+      if (botPlayer && botPlayer.isActive) {
+        botService.simulateBotAnswer(bot, question, question.correctAnswer, (bot, questionId, answerId) => {
+          this.submitAnswer(bot.socketId, questionId, answerId);
+        });
+      }
+    });
+
+    // Close the round once answers sent at the deadline have had time to arrive
+    this.schedule(this.getQuestionTimeLimit() + this.timings.answerGrace, () => {
+      console.log(`[Game ${this.matchId}] Question ${index + 1} timed out`);
+      this.revealQuestion(index);
+    });
+  }
+
+  // Close question `index`: send round scores, then move on after the reveal
+  revealQuestion(index) {
+    if (this.phase !== PHASES.QUESTION || this.game.currentQuestionIndex !== index) {
+      return;
+    }
+
+    this.enterPhase(PHASES.REVEAL);
+
+    // Running out of time breaks a streak just like a wrong answer. Players who were
+    // connected also get the round recorded as timed out (for question analytics).
+    const questionId = this.game.questions[index].id;
+    this.game.players.forEach(player => {
+      if (player.isActive && !player.answers.some(a => a.questionId === questionId)) {
+        this.resetStreak(player);
+        if (!player.disconnectedAt) {
+          player.timedOut.push({ questionId, deadline: this.game.questionDeadline });
+        }
+      }
+    });
+
+    this.sendRoundScores();
+    this.schedule(this.timings.reveal, () => this.openQuestion(index + 1));
+  }
+
+  // Send final scores and hand the result to onFinish
+  finish() {
+    if (this.phase === PHASES.FINISHED) {
+      return;
+    }
+
+    this.enterPhase(PHASES.FINISHED);
+    this.clearGraceTimers();
+    this.game.status = 'completed';
+
+    const finalScores = this.getFinalScores();
+    const winner = finalScores[0];
+
+    if (winner) {
+      console.log(`[Game ${this.matchId}] Game ended. Winner: ${winner.username} (${winner.score} points)`);
+    }
+
+    this.io.to(this.room).emit('game_end', {
+      finalScores,
+      winner
+    });
+
+    this.onFinish(finalScores);
+  }
+
+  // Stop a match that never got going
+  abandon() {
+    if (this.phase === PHASES.FINISHED) {
+      return;
+    }
+
+    console.log(`[Game ${this.matchId}] Abandoned before the first question`);
+    this.enterPhase(PHASES.FINISHED);
+    this.clearGraceTimers();
+    this.onAbandon();
+  }
+
+  // ========================================
+  // PLAYER ACTIONS
+  // ========================================
+
+  /**
+   * Score a player's answer to the open question
+   * @param {object} options
+   * @param {number} options.roundTrip - The player's measured round-trip time in ms (unknown: full answer grace)
+   * @returns {object} - { accepted: true, result } or { accepted: false, reason }
+   *   reason: inactive, late (that question's deadline passed), closed (no question is open),
+   *   alreadyAnswered, wrongQuestion, invalid (question not found), invalidAnswer (not one of its choices or lines)
+   */
+  submitAnswer(socketId, questionId, answerId, { roundTrip = null } = {}) {
+    const { game } = this;
+    const player = game.players.get(socketId);
+    const receivedAt = Date.now();
+
+    if (!player || !player.isActive) {
+      return { accepted: false, reason: 'inactive' };
+    }
+    if (player.answers.some(a => a.questionId === questionId)) {
+      return { accepted: false, reason: 'alreadyAnswered' };
+    }
+    if (this.isPastQuestion(questionId)) {
+      return { accepted: false, reason: 'late' };
+    }
+    if (this.phase !== PHASES.QUESTION) {
+      return { accepted: false, reason: 'closed' };
+    }
+
+    const question = game.questions[game.currentQuestionIndex];
+    if (question.id !== questionId) {
+      return { accepted: false, reason: 'wrongQuestion' };
+    }
+    if (receivedAt > game.questionDeadline + this.getAnswerGrace(roundTrip)) {
+      return { accepted: false, reason: 'late' };
+    }
+
+    const responseTime = Math.min(receivedAt - game.questionStartTime, this.getQuestionTimeLimit());
+    // Nobody has got it right yet - a correct answer now earns the first-correct bonus
+    const firstCorrect = !Array.from(game.players.values())
+      .some(p => p.answers.some(a => a.questionId === questionId && a.isCorrect));
+
+    // Score against this match's questions, in the question's own language (polyglot matches mix languages)
+    const result = questionService.checkAnswer(questionId, answerId, question.language, {
+      questionSet: game.questions,
+      responseTime,
+      streak: player.streak,
+      firstCorrect,
+      locale: player.locale
+    });
+    if (!result.isValid) {
+      return { accepted: false, reason: result.invalidAnswer ? 'invalidAnswer' : 'invalid' };
+    }
+
+    player.answers.push({
+      questionId,
+      answerId,
+      isCorrect: result.isCorrect,
+      points: result.points,
+      pointsBreakdown: result.pointsBreakdown,
+      timestamp: receivedAt,
+      responseTime
+    });
+    player.score += result.points;
+    this.updateStreak(player, result);
+
+    console.log(`[Game ${this.matchId}] ${player.isBot ? 'Bot ' : ''}${player.username} answered ${result.isCorrect ? 'correctly' : 'incorrectly'}`);
+
+    if (!player.isBot) {
+      this.io.to(socketId).emit('answer_result', this.getAnswerResult(player, question));
+    }
+
+    this.revealIfEveryoneAnswered();
+    return { accepted: true, result };
+  }
+
+  // A player's socket dropped: hold their place for the grace window, then remove them
+  disconnectPlayer(socketId) {
+    const player = this.game.players.get(socketId);
+    if (!player || !player.isActive || player.disconnectedAt || this.phase === PHASES.FINISHED) {
+      return;
+    }
+
+    player.disconnectedAt = Date.now();
+    console.log(`[Match] ${player.username} disconnected from match ${this.matchId}, holding their place`);
+
+    this.io.to(this.room).emit('player_disconnected', {
+      playerId: player.id,
+      username: player.username,
+      rejoinWithin: this.timings.rejoinGrace / 1000
+    });
+
+    this.graceTimers.set(player.id, setTimeout(() => {
+      this.graceTimers.delete(player.id);
+      if (player.disconnectedAt) {
+        this.removePlayer(player.socketId);
+      }
+    }, this.timings.rejoinGrace));
+
+    // The round no longer waits for them
+    this.revealIfEveryoneAnswered();
+  }
+
+  /**
+   * Reattach a player who lost their connection to a new socket
+   * @returns {object} - { rejoined: true, previousSocketId, state } (state: see getResumeState)
+   *   or { rejoined: false } if they aren't (or no longer) in this match
+   */
+  rejoinPlayer(playerId, socketId) {
+    const entry = Array.from(this.game.players.entries()).find(([, p]) => p.id === playerId && !p.isBot);
+    if (!entry || !entry[1].isActive || this.phase === PHASES.FINISHED) {
+      return { rejoined: false };
+    }
+
+    const [previousSocketId, player] = entry;
+    clearTimeout(this.graceTimers.get(playerId));
+    this.graceTimers.delete(playerId);
+
+    // Players are keyed by socket, so move them to the new one (keeping their seat in the order)
+    if (previousSocketId !== socketId) {
+      this.game.players = new Map(Array.from(this.game.players.entries(), ([id, p]) => (
+        id === previousSocketId ? [socketId, p] : [id, p]
+      )));
+      player.socketId = socketId;
+    }
+    player.disconnectedAt = null;
+
+    console.log(`[Match] ${player.username} rejoined match ${this.matchId}`);
+    this.io.to(this.room).emit('player_rejoined', {
+      playerId: player.id,
+      username: player.username
+    });
+
+    return { rejoined: true, previousSocketId, state: this.getResumeState(player) };
+  }
+
+  // A player left the match for good: tell the others, and end whatever can't go on without them
+  removePlayer(socketId) {
+    const player = this.game.players.get(socketId);
+    if (!player || !player.isActive || this.phase === PHASES.FINISHED) {
+      return;
+    }
+
+    player.isActive = false;
+    console.log(`[Match] ${player.username} left match ${this.matchId}`);
+
+    this.io.to(this.room).emit('player_left', {
+      playerId: player.id,
+      username: player.username
+    });
+
+    if (this.getHumanPlayers().length === 0) {
+      console.log(`[Game ${this.matchId}] All human players left, ending game`);
+      this.clearGraceTimers();
+      if (this.phase === PHASES.WAITING || this.phase === PHASES.COUNTDOWN) {
+        this.abandon();
+      } else {
+        this.finish();
+      }
+      return;
+    }
+
+    // The player who left may have been the last one the round was waiting for
+    this.revealIfEveryoneAnswered();
+  }
+
+  // ========================================
+  // HELPERS
+  // ========================================
+
+  enterPhase(phase) {
+    this.clearTimer();
+    this.phase = phase;
+  }
+
+  // Run `callback` after `delay` ms, replacing the current phase's timer
+  schedule(delay, callback) {
+    this.clearTimer();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      callback();
+    }, delay);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  clearGraceTimers() {
+    this.graceTimers.forEach(timer => clearTimeout(timer));
+    this.graceTimers.clear();
+  }
+
+  getQuestionTimeLimit() {
+    return this.game.questionTimeLimit || this.timings.questionTimeLimit;
+  }
+
+  // How long after the deadline an answer from a player with this round trip may arrive:
+  // its one-way trip plus a little jitter, never more than the answer grace
+  getAnswerGrace(roundTrip) {
+    if (roundTrip == null) {
+      return this.timings.answerGrace;
+    }
+    return Math.min(Math.ceil(roundTrip / 2) + LATENCY_JITTER_MS, this.timings.answerGrace);
+  }
+
+  // Whether a question of this match has already closed
+  isPastQuestion(questionId) {
+    const index = this.game.questions.findIndex(q => q.id === questionId);
+    if (index === -1 || this.phase === PHASES.WAITING || this.phase === PHASES.COUNTDOWN) {
+      return false;
+    }
+    return index < this.game.currentQuestionIndex || (index === this.game.currentQuestionIndex && this.phase !== PHASES.QUESTION);
+  }
+
+  // Questions players have seen so far: none during the opening countdown (or in a match abandoned
+  // before its first question), then every question up to the one that is open, being revealed or was last
+  getShownQuestions() {
+    const { game } = this;
+    const currentShown = this.phase === PHASES.QUESTION || this.phase === PHASES.REVEAL ||
+      (this.phase === PHASES.FINISHED && game.questionStartTime !== null);
+    return game.questions.slice(0, game.currentQuestionIndex + (currentShown ? 1 : 0));
+  }
+
+  getHumanPlayers() {
+    return Array.from(this.game.players.values()).filter(p => p.isActive && !p.isBot);
+  }
+
+  revealIfEveryoneAnswered() {
+    if (this.phase !== PHASES.QUESTION) {
+      return;
+    }
+
+    const { game } = this;
+    const questionId = game.questions[game.currentQuestionIndex].id;
+    const allAnswered = Array.from(game.players.values())
+      .filter(p => p.isActive && !p.disconnectedAt)
+      .every(p => p.answers.some(a => a.questionId === questionId));
+
+    if (allAnswered) {
+      this.revealQuestion(game.currentQuestionIndex);
+    }
+  }
+
+  // Extend a player's streak with a correct answer, or end it with a wrong one
+  updateStreak(player, result) {
+    if (!result.isCorrect) {
+      this.resetStreak(player);
+      return;
+    }
+
+    player.streak++;
+    player.bestStreak = Math.max(player.bestStreak, player.streak);
+    player.streakMultiplier = result.pointsBreakdown.streakMultiplier;
+  }
+
+  resetStreak(player) {
+    player.streak = 0;
+    player.streakMultiplier = 1;
+  }
+
+  // What a player is told about their answer to a question (the answer_result event)
+  getAnswerResult(player, question) {
+    const answer = player.answers.find(a => a.questionId === question.id);
+    return {
+      correct: answer.isCorrect,
+      correctAnswer: question.correctAnswer,
+      explanation: questionService.localizeQuestion(question, player.locale).explanation,
+      pointsEarned: answer.points,
+      pointsBreakdown: answer.pointsBreakdown,
+      locale: player.locale
+    };
+  }
+
+  // Everything a rejoining player needs to pick the match up where it is
+  getResumeState(player) {
+    const { game } = this;
+    // A match rejoined while its questions are still being dealt has no current question yet
+    const question = game.questions[game.currentQuestionIndex] || null;
+    const questionShown = question !== null && (this.phase === PHASES.QUESTION || this.phase === PHASES.REVEAL);
+    const answered = questionShown && player.answers.some(a => a.questionId === question.id);
+
+    return {
+      matchId: this.matchId,
+      phase: this.phase,
+      preferences: game.preferences,
+      players: Array.from(game.players.values()).map(p => ({
+        id: p.id,
+        username: p.username
+      })),
+      totalQuestions: game.questions.length,
+      questionTimeLimit: this.getQuestionTimeLimit() / 1000,
+      question: questionShown
+        ? {
+          ...questionService.toClientQuestion(question, player.locale),
+          questionNumber: game.currentQuestionIndex + 1,
+          totalQuestions: game.questions.length,
+          deadline: game.questionDeadline
+        }
+        : null,
+      answerResult: answered ? this.getAnswerResult(player, question) : null,
+      scores: this.getScores()
+    };
+  }
+
+  // Standings of the players still in the match, with how they did on the current question
+  // (and how their points for it were worked out)
+  getScores() {
+    const { game } = this;
+    const currentQuestion = game.questions[game.currentQuestionIndex] || null;
+
+    return Array.from(game.players.values())
+      .filter(p => p.isActive)
+      .map(p => {
+        const answer = currentQuestion && p.answers.find(a => a.questionId === currentQuestion.id);
+        return {
+          playerId: p.id,
+          username: p.username,
+          score: p.score,
+          isCorrect: answer ? answer.isCorrect : false,
+          responseTime: answer ? answer.responseTime : null,
+          pointsEarned: answer ? answer.points : null,
+          pointsBreakdown: answer ? answer.pointsBreakdown : null,
+          streak: p.streak,
+          streakMultiplier: p.streakMultiplier
+        };
+      })
+      .sort((a, b) => b.score - a.score); // Sort by score descending
+  }
+
+  // Send everyone the standings after the current question
+  sendRoundScores() {
+    this.io.to(this.room).emit('round_scores', { scores: this.getScores() });
+  }
+
+  // Final standings of the players still in the match, ranked
+  getFinalScores() {
+    const finalScores = Array.from(this.game.players.values())
+      .filter(p => p.isActive)
+      .map(p => ({
+        id: p.id,
+        username: p.username,
+        score: p.score,
+        correctAnswers: p.answers.filter(a => a.isCorrect).length,
+        totalAnswers: p.answers.length,
+        streak: p.streak,
+        bestStreak: p.bestStreak,
+        isBot: p.isBot || false
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    finalScores.forEach((player, index) => {
+      player.rank = index + 1;
+    });
+
+    return finalScores;
+  }
+}
+
+GameEngine.PHASES = PHASES;
+
+module.exports = GameEngine;
@@ -1,10 +1,12 @@
 const { v4: uuidv4 } = require('uuid');
 const botService = require('./BotService');
+const { DEFAULT_LOCALE } = require('../utils/i18n');
+const { createSeed } = require('../utils/seededRandom');
 
 class MatchmakingService {
   constructor() {
     // Change from array to Map grouped by preferences
-    this.waitingPlayersByPreference = new Map(); // key: "lang:difficulty" -> array of players
+    this.waitingPlayersByPreference = new Map(); // key: "lang:difficulty[:topic]" -> array of players
     this.activeGames = new Map(); // matchId -> GameState
     this.queueTimers = new Map(); // socketId -> timeout ID for bot spawning
     this.io = null; // Will be set by server
@@ -16,22 +18,24 @@ class MatchmakingService {
   }
 
   // Generate preference key for matchmaking
-  getPreferenceKey(language, difficulty) {
-    return `${language}:${difficulty}`;
+  // Players who picked a topic only get matched with players who picked the same one
+  getPreferenceKey(language, difficulty, topic = null) {
+    return topic ? `${language}:${difficulty}:${topic}` : `${language}:${difficulty}`;
   }
 
   // Add player to preference-based queue
-  // playerId is the database UUID for the player profile
-  addToQueue(socket, username, playerId = null, preferences = {}) {
-    const { language = 'javascript', difficulty = 'medium' } = preferences;
-    const prefKey = this.getPreferenceKey(language, difficulty);
+  // playerId is the database UUID for the player profile, locale the language they read questions in
+  addToQueue(socket, username, playerId = null, preferences = {}, locale = DEFAULT_LOCALE) {
+    const { language = 'javascript', difficulty = 'medium', topic = null } = preferences;
+    const prefKey = this.getPreferenceKey(language, difficulty, topic);
 
     const player = {
       id: playerId || uuidv4(), // Use database playerId if provided
       socketId: socket.id,
       username,
+      locale,
       joinedAt: Date.now(),
-      preferences: { language, difficulty }
+      preferences: { language, difficulty, topic }
     };
 
     // Get or create queue for this preference
@@ -42,7 +46,7 @@ class MatchmakingService {
     const queue = this.waitingPlayersByPreference.get(prefKey);
     queue.push(player);
 
-    console.log(`[Queue] ${username} joined ${language}/${difficulty} queue (${queue.length} waiting)`);
+    console.log(`[Queue] ${username} joined ${prefKey.replace(/:/g, '/')} queue (${queue.length} waiting)`);
 
     // Start timer to spawn bots if not enough players join within 12 seconds
     this.startBotSpawnTimer(socket.id, prefKey);
@@ -72,7 +76,8 @@ class MatchmakingService {
         if (match && this.io) {
           // Dynamically require to avoid circular dependency
           const gameHandlers = require('../handlers/gameHandlers');
-          gameHandlers.startBotMatch(this.io, match.matchId);
+          gameHandlers.startBotMatch(this.io, match.matchId)
+            .catch(error => gameHandlers.failMatchStart(this.io, match.matchId, error));
         }
       }
     }, 12000); // 12 seconds
@@ -139,7 +144,7 @@ class MatchmakingService {
     players.forEach(p => this.clearBotSpawnTimer(p.socketId));
 
     // Extract preferences from first player (all same in this queue)
-    const { language, difficulty } = players[0].preferences;
+    const { language, difficulty, topic } = players[0].preferences;
 
     const matchId = uuidv4();
     const gameState = {
@@ -148,11 +153,17 @@ class MatchmakingService {
         id: p.id,
         socketId: p.socketId,
         username: p.username,
+        locale: p.locale,
         score: 0,
         answers: [], // Track all answers for this player
+        streak: 0, // Consecutive correct answers - a miss or timeout resets it
+        bestStreak: 0,
+        streakMultiplier: 1, // Multiplier the streak earned on the last answer (see GameEngine)
+        timedOut: [], // { questionId, deadline } of questions the player was there for but didn't answer in time
         isActive: true
       }])),
-      preferences: { language, difficulty }, // Store match preferences
+      preferences: { language, difficulty, topic }, // Store match preferences
+      seed: createSeed(), // Decides which questions are drawn (see QuestionService.drawMatchQuestions)
       currentQuestionIndex: 0,
       status: 'waiting', // waiting -> in_progress -> completed
       createdAt: Date.now(),
@@ -162,12 +173,12 @@ class MatchmakingService {
     };
 
     this.activeGames.set(matchId, gameState);
-    console.log(`[Match] Created match ${matchId} with ${players.length} players (${language}/${difficulty})`);
+    console.log(`[Match] Created match ${matchId} with ${players.length} players (${prefKey.replace(/:/g, '/')})`);
 
     return {
       matchId,
       players: Array.from(gameState.players.values()),
-      preferences: { language, difficulty }
+      preferences: { language, difficulty, topic }
     };
   }
 
@@ -191,7 +202,7 @@ class MatchmakingService {
       this.waitingPlayersByPreference.delete(prefKey);
     }
 
-    const { language, difficulty } = humanPlayer.preferences;
+    const { language, difficulty, topic } = humanPlayer.preferences;
     const matchId = uuidv4();
 
     // Create 2-3 bot players to fill the match (total 3-4 players)
@@ -207,12 +218,18 @@ class MatchmakingService {
         id: p.id,
         socketId: p.socketId,
         username: p.username,
+        locale: p.locale,
         score: 0,
         answers: [],
+        streak: 0,
+        bestStreak: 0,
+        streakMultiplier: 1,
+        timedOut: [],
         isActive: true,
         isBot: p.isBot || false
       }])),
-      preferences: { language, difficulty }, // Store match preferences
+      preferences: { language, difficulty, topic }, // Store match preferences
+      seed: createSeed(), // Decides which questions are drawn (see QuestionService.drawMatchQuestions)
       currentQuestionIndex: 0,
       status: 'waiting',
       createdAt: Date.now(),
@@ -223,13 +240,13 @@ class MatchmakingService {
     };
 
     this.activeGames.set(matchId, gameState);
-    console.log(`[Match] Created match ${matchId} with 1 human player and ${numBots} bots (${language}/${difficulty})`);
+    console.log(`[Match] Created match ${matchId} with 1 human player and ${numBots} bots (${prefKey.replace(/:/g, '/')})`);
 
     return {
       matchId,
       players: Array.from(gameState.players.values()),
       hasHumanPlayer: humanPlayer.socketId,
-      preferences: { language, difficulty }
+      preferences: { language, difficulty, topic }
     };
   }
 
@@ -248,22 +265,28 @@ class MatchmakingService {
     return null;
   }
 
-  // Mark player as disconnected
+  // Find the unfinished match a (human) player is in by their player ID - their socket may have changed
+  getGameByPlayerId(playerId) {
+    for (const [matchId, game] of this.activeGames.entries()) {
+      if (game.status === 'completed') {
+        continue;
+      }
+      for (const player of game.players.values()) {
+        if (player.id === playerId && !player.isBot) {
+          return { matchId, game };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Take a disconnected player out of the queue and find the match they were in
+  // (the match's GameEngine marks them as gone)
   handlePlayerDisconnect(socketId) {
     // Remove from queue if waiting
     this.removeFromQueue(socketId);
 
-    // Mark as inactive in active game
-    const result = this.getGameBySocket(socketId);
-    if (result) {
-      const player = result.game.players.get(socketId);
-      if (player) {
-        player.isActive = false;
-        console.log(`[Match] ${player.username} disconnected from match ${result.matchId}`);
-      }
-      return result;
-    }
-    return null;
+    return this.getGameBySocket(socketId);
   }
 
   // End game and cleanup
@@ -294,12 +317,14 @@ class MatchmakingService {
       queuesByPreference: []
     };
 
-    this.waitingPlayersByPreference.forEach((queue, prefKey) => {
-      const [language, difficulty] = prefKey.split(':');
+    this.waitingPlayersByPreference.forEach((queue) => {
+      // Every player in a queue shares the same preferences
+      const { language, difficulty, topic } = queue[0].preferences;
       stats.totalWaiting += queue.length;
       stats.queuesByPreference.push({
         language,
         difficulty,
+        topic,
         count: queue.length,
         players: queue.map(p => ({
           username: p.username,
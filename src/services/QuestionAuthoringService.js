@@ -0,0 +1,194 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const questionService = require('./QuestionService');
+const { normalizeQuestion } = require('../utils/questionSchema');
+const { DatabaseQuestionSource } = require('./questionSources');
+
+// Allowed status changes in the authoring workflow
+const STATUS_TRANSITIONS = {
+  draft: ['in_review', 'retired'],
+  in_review: ['draft', 'published', 'retired'],
+  published: ['draft', 'retired'],
+  retired: ['draft']
+};
+
+// Published questions are live - move them back to draft before editing
+const EDITABLE_STATUSES = ['draft', 'in_review'];
+
+// Fields compared for the audit trail
+const AUDITED_FIELDS = ['type', 'difficulty', 'tags', 'code', 'question', 'choices', 'correctAnswer', 'explanation', 'translations'];
+
+class QuestionAuthoringService {
+  // Validate a question submitted through the API (same rules as the question files)
+  validate(raw, language) {
+    try {
+      return { success: true, question: normalizeQuestion(raw, { file: 'request', language }) };
+    } catch (error) {
+      return { success: false, reason: 'invalid', error: error.message };
+    }
+  }
+
+  // Load a stored question (any status) in the canonical model
+  async findQuestion(questionId) {
+    const row = await db.getAuthoredQuestion(questionId);
+    if (!row) {
+      return null;
+    }
+
+    return {
+      question: normalizeQuestion(DatabaseQuestionSource.fromRow(row), { file: 'questions table', language: row.language }),
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // List questions, optionally filtered by status and language
+  async listQuestions(filters = {}) {
+    const rows = await db.listAuthoredQuestions(filters);
+    return rows.map(row => ({
+      id: row.id,
+      language: row.language,
+      type: row.type,
+      status: row.status,
+      difficulty: row.difficulty,
+      tags: row.tags,
+      question: row.question,
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  // Get a question with its audit trail
+  async getQuestion(questionId) {
+    const stored = await this.findQuestion(questionId);
+    if (!stored) {
+      return { success: false, reason: 'notFound' };
+    }
+
+    const auditLog = await db.getQuestionAuditLog(questionId);
+    return {
+      success: true,
+      ...stored,
+      auditLog: auditLog.map(entry => ({
+        action: entry.action,
+        actor: entry.actor,
+        changes: entry.changes,
+        note: entry.note,
+        createdAt: entry.created_at
+      }))
+    };
+  }
+
+  // Create a new question as a draft
+  async createQuestion(raw, language, actor) {
+    if (!questionService.getAllLanguages().includes(language)) {
+      return { success: false, reason: 'invalidLanguage' };
+    }
+
+    // New questions always start as drafts, whatever the body says
+    const result = this.validate({ ...raw, id: raw.id || `${language}_${uuidv4().slice(0, 8)}`, status: 'draft' }, language);
+    if (!result.success) {
+      return result;
+    }
+
+    const created = await db.insertAuthoredQuestion(result.question, actor);
+    if (!created) {
+      return { success: false, reason: 'duplicate' };
+    }
+
+    console.log(`📝 ${actor} created question ${result.question.id} (${language})`);
+    return { success: true, question: result.question };
+  }
+
+  // Replace the content of a draft or in-review question
+  async updateQuestion(questionId, raw, actor) {
+    const stored = await this.findQuestion(questionId);
+    if (!stored) {
+      return { success: false, reason: 'notFound' };
+    }
+
+    const current = stored.question;
+    if (!EDITABLE_STATUSES.includes(current.status)) {
+      return { success: false, reason: 'notEditable' };
+    }
+
+    // The ID, language and status can't be changed by an edit
+    const result = this.validate({ ...raw, id: current.id, status: current.status }, current.language);
+    if (!result.success) {
+      return result;
+    }
+
+    const changes = {};
+    AUDITED_FIELDS.forEach(field => {
+      if (JSON.stringify(current[field]) !== JSON.stringify(result.question[field])) {
+        changes[field] = { from: current[field], to: result.question[field] };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return { success: true, question: current, changes };
+    }
+
+    const updated = await db.updateAuthoredQuestion(result.question, actor, changes, EDITABLE_STATUSES);
+    if (!updated) {
+      // Published or retired by someone else in the meantime
+      return { success: false, reason: 'notEditable' };
+    }
+
+    console.log(`📝 ${actor} updated question ${questionId} (${Object.keys(changes).join(', ')})`);
+    return { success: true, question: result.question, changes };
+  }
+
+  // Move a question through the workflow (draft -> in_review -> published -> retired)
+  async changeStatus(questionId, status, actor, note = null) {
+    const stored = await this.findQuestion(questionId);
+    if (!stored) {
+      return { success: false, reason: 'notFound' };
+    }
+
+    const from = stored.question.status;
+    if (!(STATUS_TRANSITIONS[from] || []).includes(status)) {
+      return { success: false, reason: 'invalidTransition', from, to: status };
+    }
+
+    const changed = await db.updateAuthoredQuestionStatus(questionId, from, status, actor, note);
+    if (!changed) {
+      return { success: false, reason: 'invalidTransition', from, to: status };
+    }
+
+    console.log(`📝 ${actor} moved question ${questionId} from ${from} to ${status}`);
+
+    // Publishing or unpublishing changes what players can be dealt
+    if ((from === 'published' || status === 'published') && questionService.source.name === 'database') {
+      await questionService.reloadQuestions();
+    }
+
+    return { success: true, question: { ...stored.question, status } };
+  }
+
+  // What players will see, plus the answer, for a question in any status
+  async previewQuestion(questionId, locale) {
+    const stored = await this.findQuestion(questionId);
+    if (!stored) {
+      return { success: false, reason: 'notFound' };
+    }
+
+    const { question } = stored;
+    return {
+      success: true,
+      status: question.status,
+      preview: questionService.toClientQuestion(question, locale),
+      answer: {
+        correctAnswer: question.correctAnswer,
+        explanation: questionService.localizeQuestion(question, locale).explanation
+      }
+    };
+  }
+}
+
+// Singleton instance
+module.exports = new QuestionAuthoringService();
@@ -0,0 +1,109 @@
+const db = require('../config/database');
+const questionService = require('./QuestionService');
+
+// Why a player can report a question
+const REPORT_REASONS = ['wrong_answer', 'ambiguous', 'broken_code', 'typo', 'other'];
+
+// Free text longer than this is cut off
+const MAX_DETAILS_LENGTH = 1000;
+
+// Players with an open report that take a question out of rotation until it is reviewed
+const FLAG_THRESHOLD = parseInt(process.env.QUESTION_REPORT_THRESHOLD) || 3;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class QuestionReportService {
+  // Record a player's report against a question, and flag the question once enough players reported it.
+  // report: { questionId, playerId, matchId, reason, details, mode }
+  // playerId must already be verified (the match's own player, or a practice profile token) -
+  // only reports with a player count towards the threshold
+  async reportQuestion({ questionId, playerId = null, matchId = null, reason, details = null, mode }) {
+    if (!REPORT_REASONS.includes(reason)) {
+      return { success: false, reason: 'invalidReason' };
+    }
+
+    if (!questionId || !questionService.findQuestionById(questionId)) {
+      return { success: false, reason: 'notFound' };
+    }
+
+    const text = typeof details === 'string' ? details.trim().slice(0, MAX_DETAILS_LENGTH) : '';
+    const { created, openReporters } = await db.insertQuestionReport({
+      questionId,
+      playerId: typeof playerId === 'string' && UUID_PATTERN.test(playerId) ? playerId : null,
+      matchId: typeof matchId === 'string' && UUID_PATTERN.test(matchId) ? matchId : null,
+      reason,
+      details: text || null,
+      mode
+    });
+
+    if (!created) {
+      return { success: false, reason: 'alreadyReported' };
+    }
+
+    console.log(`🚩 Question ${questionId} reported (${reason}, ${openReporters} open)`);
+    questionService.setOpenReportCount(questionId, openReporters);
+
+    if (openReporters >= FLAG_THRESHOLD && await db.flagQuestion(questionId, openReporters)) {
+      questionService.setQuestionFlagged(questionId, true);
+      console.log(`🚩 Question ${questionId} taken out of rotation after ${openReporters} reports`);
+    }
+
+    return { success: true };
+  }
+
+  // Questions with the most open reports, for review
+  async listReportedQuestions({ includeResolved = false, limit = 50 } = {}) {
+    const rows = await db.getMostReportedQuestions({ includeResolved, limit });
+
+    return rows.map(row => {
+      const question = questionService.findQuestionById(row.questionId);
+      return {
+        ...row,
+        language: question ? question.language : null,
+        question: question ? question.question : null,
+        flagged: row.flaggedAt !== null
+      };
+    });
+  }
+
+  // Every report of one question, newest first
+  async getReports(questionId) {
+    const reports = await db.getQuestionReports(questionId);
+
+    return {
+      questionId,
+      flagged: questionService.flaggedQuestionIds.has(questionId),
+      reports: reports.map(report => ({
+        id: report.id,
+        playerId: report.player_id,
+        matchId: report.match_id,
+        reason: report.reason,
+        details: report.details,
+        mode: report.mode,
+        status: report.status,
+        resolvedBy: report.resolved_by,
+        resolutionNote: report.resolution_note,
+        resolvedAt: report.resolved_at,
+        createdAt: report.created_at
+      }))
+    };
+  }
+
+  // Close a question's open reports after review and put it back into rotation.
+  // A question that really is broken should be fixed or retired before this.
+  async resolveReports(questionId, actor, note = null) {
+    const { resolved, unflagged } = await db.resolveQuestionReports(questionId, actor, note);
+    if (resolved === 0 && !unflagged) {
+      return { success: false, reason: 'noOpenReports' };
+    }
+
+    questionService.setQuestionFlagged(questionId, false);
+    questionService.setOpenReportCount(questionId, 0);
+    console.log(`🚩 ${actor} resolved ${resolved} report(s) of question ${questionId}${unflagged ? ', back in rotation' : ''}`);
+
+    return { success: true, resolved, unflagged };
+  }
+}
+
+// Singleton instance
+module.exports = new QuestionReportService();
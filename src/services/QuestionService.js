@@ -1,40 +1,209 @@
 const fs = require('fs');
 const path = require('path');
+const { normalizeQuestions } = require('../utils/questionSchema');
+const { LANGUAGES_DIR, POLYGLOT_LANGUAGE, loadLanguagePacks } = require('../utils/languagePacks');
+const { highlightCode } = require('../utils/syntaxHighlighter');
+const { createQuestionSource } = require('./questionSources');
+const { DEFAULT_LOCALE } = require('../utils/i18n');
+const { createSeed, seededRandom } = require('../utils/seededRandom');
+const db = require('../config/database');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const METADATA_PATH = path.join(DATA_DIR, 'question-metadata.json');
+
+// Questions a player answered within this many days are kept out of their matches
+const RECENT_QUESTION_WINDOW_DAYS = 7;
+
+// How much each factor scales a question's chance of being drawn (a question nobody saw
+// recently, at the requested difficulty and without open reports weighs 1)
+const SELECTION_WEIGHTS = {
+  difficultyStep: 0.01, // per tier away from the requested difficulty
+  recentlySeen: { min: 0.001, max: 0.02 }, // just answered -> about to leave the recent window
+  openReport: 0.5 // per player with an open report that hasn't flagged the question yet
+};
+
+// Wait for editors to finish writing before reloading (they often emit several events per save)
+const RELOAD_DEBOUNCE_MS = 500;
+
+// Scoring used when question-metadata.json has no policy for a difficulty
+const DEFAULT_SCORING_POLICY = {
+  basePoints: 100,
+  timeDecay: null, // no decay: full points however long the answer took
+  firstCorrectBonus: 0,
+  streakMultiplier: { step: 0, max: 1 },
+  wrongAnswerPenalty: 0
+};
+
+// Language pack used when the question bank can't be loaded and legacy questions.json is served instead
+const LEGACY_LANGUAGE_PACK = {
+  id: 'javascript',
+  displayName: 'JavaScript',
+  iconPath: null,
+  emoji: '🟨',
+  syntax: 'javascript',
+  aliases: ['js'],
+  enabled: true,
+  questionFile: 'questions.json',
+  order: 1,
+  scoring: {}
+};
+
+// Weighted draw without replacement (Efraimidis-Spirakis): every item gets the key ln(u) / weight
+// with u its seeded random number, and the highest keys win - in order, so the result is shuffled too.
+// Ties (only possible with equal u) are broken by `keyOf` so the order never depends on the input order.
+function weightedDraw(items, count, { seed, keyOf, weightOf }) {
+  return items
+    .map(item => ({ item, key: keyOf(item), rank: Math.log(seededRandom(seed, keyOf(item))) / weightOf(item) }))
+    .sort((a, b) => (b.rank - a.rank) || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .slice(0, count)
+    .map(entry => entry.item);
+}
+
+// Base points left after a policy's time decay: full up to fullPointsWithinSeconds, then falling
+// linearly (down to minPoints falloffSeconds later) or exponentially (the part above minPoints
+// halving every halfLifeSeconds). An answer without a response time counts as the slowest.
+function getSpeedPoints({ basePoints, timeDecay }, responseTime) {
+  if (!timeDecay) {
+    return basePoints;
+  }
+
+  const { fullPointsWithinSeconds = 0, curve = 'linear', falloffSeconds = 10, halfLifeSeconds = 10, minPoints = 0 } = timeDecay;
+  const floor = Math.min(minPoints, basePoints);
+  if (responseTime === null) {
+    return floor;
+  }
+
+  const secondsOver = Math.max(responseTime / 1000 - fullPointsWithinSeconds, 0);
+  if (secondsOver === 0) {
+    return basePoints;
+  }
+
+  const share = curve === 'exponential'
+    ? Math.pow(0.5, secondsOver / halfLifeSeconds)
+    : Math.max(1 - secondsOver / falloffSeconds, 0);
+  return Math.round(floor + (basePoints - floor) * share);
+}
 
 class QuestionService {
-  constructor() {
+  /**
+   * @param {object} source - Question source (see services/questionSources), chosen by QUESTION_SOURCE by default
+   */
+  constructor(source = createQuestionSource(process.env.QUESTION_SOURCE || 'file')) {
+    this.source = source;
     this.questionsByLanguage = new Map();
     this.metadata = null;
-    this.loadQuestions();
+    this.metadataWatcher = null;
+    this.languagesWatcher = null;
+    this.reloadTimer = null;
+    // Highlighted code per question object; a reload creates new objects, so stale entries just get collected
+    this.highlightCache = new WeakMap();
+    // IDs of questions taken out of rotation by player reports (see QuestionReportService)
+    this.flaggedQuestionIds = new Set();
+    // Question ID -> players with an open report, for questions still in rotation
+    this.openReportCounts = new Map();
+    // Bumped whenever a report changes the state above, so a reload can tell its database read is stale
+    this.reportStateVersion = 0;
+  }
+
+  // Read and validate the whole question bank from the source.
+  // Throws if anything is missing or invalid; never touches the live bank.
+  async readQuestionBank() {
+    const reportStateVersion = this.reportStateVersion;
+    const metadata = JSON.parse(fs.readFileSync(METADATA_PATH, 'utf8'));
+    const languagePacks = loadLanguagePacks();
+    const enabledLanguages = languagePacks.filter(l => l.enabled);
+    const questionsByLanguage = await this.applyCalibrations(await this.source.loadQuestions(enabledLanguages));
+    const { flaggedQuestionIds, openReportCounts } = await this.loadReportState();
+
+    // Drafts, questions in review and retired questions never reach players
+    questionsByLanguage.forEach((questions, language) => {
+      questionsByLanguage.set(language, questions.filter(q => q.status === 'published'));
+    });
+
+    // Languages come from their packs, with the real pool sizes
+    metadata.languages = languagePacks.map(lang => ({
+      ...lang,
+      questionCount: questionsByLanguage.has(lang.id) ? questionsByLanguage.get(lang.id).length : 0
+    }));
+
+    return { metadata, questionsByLanguage, flaggedQuestionIds, openReportCounts, reportStateVersion };
   }
 
-  // Load all questions and metadata
-  loadQuestions() {
+  // Attach the difficulty measured by the calibration job (see CalibrationService) to each question.
+  // Without a database, or before the first calibration run, questions keep only their authored label.
+  async applyCalibrations(questionsByLanguage) {
+    let calibrations;
     try {
-      // Load metadata
-      const metadataPath = path.join(__dirname, '../data/question-metadata.json');
-      this.metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
-
-      // Load each language's questions
-      this.metadata.languages.forEach(lang => {
-        if (lang.enabled) {
-          const questionsPath = path.join(__dirname, `../data/questions/${lang.id}.json`);
-          const questions = JSON.parse(fs.readFileSync(questionsPath, 'utf8'));
-          this.questionsByLanguage.set(lang.id, questions);
-          console.log(`✓ Loaded ${questions.length} ${lang.displayName} questions`);
-        }
+      calibrations = await db.getQuestionCalibrations();
+    } catch (error) {
+      console.warn('Could not load difficulty calibration, using authored difficulty labels:', error.message);
+      return questionsByLanguage;
+    }
+
+    const calibrated = new Map();
+    questionsByLanguage.forEach((questions, language) => {
+      calibrated.set(language, questions.map(question => (
+        calibrations.has(question.id) ? { ...question, ...calibrations.get(question.id) } : question
+      )));
+    });
+    return calibrated;
+  }
+
+  // Questions flagged by player reports stay out of rotation until an admin reviews them;
+  // questions with fewer open reports are just drawn less often.
+  // Without a database nothing is flagged or reported.
+  async loadReportState() {
+    try {
+      return {
+        flaggedQuestionIds: await db.getFlaggedQuestionIds(),
+        openReportCounts: await db.getOpenReportCounts()
+      };
+    } catch (error) {
+      console.warn('Could not load question reports, dealing every published question:', error.message);
+      return { flaggedQuestionIds: new Set(), openReportCounts: new Map() };
+    }
+  }
+
+  // Swap in a new bank in one step so readers never see a half-loaded state.
+  // Report state read before a report was filed or resolved is older than the live one, so it
+  // is only swapped in if no report changed it meanwhile (see refreshReportState).
+  applyQuestionBank({ metadata, questionsByLanguage, flaggedQuestionIds = new Set(), openReportCounts = new Map(), reportStateVersion = this.reportStateVersion }) {
+    this.metadata = metadata;
+    this.questionsByLanguage = questionsByLanguage;
+    if (reportStateVersion === this.reportStateVersion) {
+      this.flaggedQuestionIds = flaggedQuestionIds;
+      this.openReportCounts = openReportCounts;
+    }
+
+    // Tokenize every snippet up front so sending a question never has to
+    questionsByLanguage.forEach(questions => questions.forEach(question => this.getHighlightedCode(question)));
+  }
+
+  // Load all questions and metadata, normalizing every source into the canonical question model
+  async loadQuestions() {
+    try {
+      const bank = await this.readQuestionBank();
+      this.applyQuestionBank(bank);
+
+      bank.metadata.languages.filter(l => l.enabled).forEach(lang => {
+        console.log(`✓ Loaded ${bank.questionsByLanguage.get(lang.id).length} ${lang.displayName} questions (${this.source.name})`);
       });
     } catch (error) {
       console.error('Error loading questions:', error);
       // Fallback to old questions.json for backward compatibility
       try {
-        const oldQuestionsPath = path.join(__dirname, '../data/questions.json');
-        const oldQuestions = JSON.parse(fs.readFileSync(oldQuestionsPath, 'utf8'));
-        this.questionsByLanguage.set('javascript', oldQuestions);
-        this.metadata = {
-          languages: [{ id: 'javascript', name: 'JavaScript', displayName: 'JavaScript', icon: '🟨', enabled: true, questionCount: oldQuestions.length }],
-          difficulties: [{ id: 'medium', name: 'Medium', timeLimit: 30, icon: '🟡' }]
-        };
+        const oldQuestionsPath = path.join(DATA_DIR, 'questions.json');
+        const oldQuestions = normalizeQuestions(
+          JSON.parse(fs.readFileSync(oldQuestionsPath, 'utf8')),
+          { file: 'questions.json', language: 'javascript' }
+        );
+        this.applyQuestionBank({
+          questionsByLanguage: new Map([['javascript', oldQuestions]]),
+          metadata: {
+            languages: [{ ...LEGACY_LANGUAGE_PACK, questionCount: oldQuestions.length }],
+            difficulties: [{ id: 'medium', name: 'Medium', timeLimit: 30, icon: '🟡' }]
+          }
+        });
         console.log('⚠️  Loaded legacy questions.json (backward compatibility mode)');
       } catch (fallbackError) {
         console.error('Fatal error loading questions:', fallbackError);
@@ -43,26 +212,366 @@ class QuestionService {
     }
   }
 
-  // Get questions for match with language filter
-  getQuestionsForMatch(count = 5, language = 'javascript') {
-    const questionPool = this.questionsByLanguage.get(language) || this.questionsByLanguage.get('javascript') || [];
+  // Read the report state again until no report changes it during the read, then swap it in
+  async refreshReportState() {
+    for (;;) {
+      const reportStateVersion = this.reportStateVersion;
+      const { flaggedQuestionIds, openReportCounts } = await this.loadReportState();
+      if (reportStateVersion === this.reportStateVersion) {
+        this.flaggedQuestionIds = flaggedQuestionIds;
+        this.openReportCounts = openReportCounts;
+        return;
+      }
+    }
+  }
+
+  // Reload the question bank at runtime.
+  // Games in progress keep the question objects they were dealt, so only new matches see the change.
+  // If the new bank is invalid the current one stays in place.
+  async reloadQuestions() {
+    try {
+      const bank = await this.readQuestionBank();
+      this.applyQuestionBank(bank);
+
+      // A report was filed or resolved while the bank was read: its report state was kept out, read a fresh one
+      if (bank.reportStateVersion !== this.reportStateVersion) {
+        await this.refreshReportState();
+      }
+
+      const counts = {};
+      bank.questionsByLanguage.forEach((questions, language) => {
+        counts[language] = questions.length;
+      });
+
+      console.log(`🔄 Question bank reloaded from ${this.source.name}:`, counts);
+      return { success: true, counts };
+    } catch (error) {
+      console.error('❌ Question bank reload failed, keeping previous questions:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Watch the metadata, language packs and question source, reloading automatically when they change
+  watchQuestions() {
+    if (this.metadataWatcher) {
+      return;
+    }
+
+    const scheduleReload = () => {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reloadQuestions(), RELOAD_DEBOUNCE_MS);
+    };
+
+    try {
+      this.metadataWatcher = fs.watch(METADATA_PATH, scheduleReload);
+      this.languagesWatcher = fs.watch(LANGUAGES_DIR, scheduleReload);
+      const sourceWatched = this.source.watch(scheduleReload);
+      console.log(sourceWatched
+        ? '👀 Watching question bank for changes'
+        : `👀 Watching question metadata for changes (${this.source.name} questions reload via admin API)`);
+    } catch (error) {
+      console.warn('Could not watch question files, hot reload disabled:', error.message);
+      this.unwatchQuestions();
+    }
+  }
+
+  // Stop watching for question changes
+  unwatchQuestions() {
+    clearTimeout(this.reloadTimer);
+    if (this.metadataWatcher) {
+      this.metadataWatcher.close();
+      this.metadataWatcher = null;
+    }
+    if (this.languagesWatcher) {
+      this.languagesWatcher.close();
+      this.languagesWatcher = null;
+    }
+    this.source.unwatch();
+  }
+
+  // Get the question pool for a language (falls back to JavaScript)
+  getQuestionPool(language = 'javascript') {
+    return this.questionsByLanguage.get(language) || this.questionsByLanguage.get('javascript') || [];
+  }
+
+  // Get the questions of a language that can be dealt - flagged questions stay findable
+  // (so answers to them can still be checked) but are never drawn
+  getRotationPool(language = 'javascript') {
+    return this.getQuestionPool(language).filter(q => !this.flaggedQuestionIds.has(q.id));
+  }
+
+  // Take a question out of rotation (flagged = true) or put it back
+  setQuestionFlagged(questionId, flagged) {
+    this.reportStateVersion++;
+    if (flagged) {
+      this.flaggedQuestionIds.add(questionId);
+    } else {
+      this.flaggedQuestionIds.delete(questionId);
+    }
+  }
+
+  // Record how many players have an open report against a question (0 once they are resolved)
+  setOpenReportCount(questionId, count) {
+    this.reportStateVersion++;
+    if (count > 0) {
+      this.openReportCounts.set(questionId, count);
+    } else {
+      this.openReportCounts.delete(questionId);
+    }
+  }
+
+  // Find a single question by ID within a language pool
+  findQuestion(questionId, language = 'javascript') {
+    if (language === POLYGLOT_LANGUAGE.id) {
+      return this.findQuestionById(questionId);
+    }
+    return this.getQuestionPool(language).find(q => q.id === questionId) || null;
+  }
+
+  // Find a question by ID in any language pool
+  findQuestionById(questionId) {
+    for (const questions of this.questionsByLanguage.values()) {
+      const question = questions.find(q => q.id === questionId);
+      if (question) {
+        return question;
+      }
+    }
+    return null;
+  }
+
+  // Get questions for match filtered by language, difficulty and (optionally) topic.
+  // The questions are a weighted draw (see SELECTION_WEIGHTS) from `seed`, so the same seed,
+  // bank and options always deal the same questions in the same order:
+  //   difficulty fit - questions rated at the requested difficulty are all but certain to come
+  //                    first; neighbouring tiers (e.g. hard -> medium -> easy) fill in when it runs dry
+  //   freshness      - `lastSeenAt` (question ID -> Date the players last answered it) makes questions
+  //                    seen in the last RECENT_QUESTION_WINDOW_DAYS before `now` rare, the most recent rarest
+  //   quality        - every open report halves a question's weight
+  // With a `topic` only questions carrying that tag are drawn, unless there are too few of
+  // them - then the match is topped up from the rest of the language pool.
+  // The `polyglot` language draws a mix of every enabled language (see getPolyglotQuestions).
+  getQuestionsForMatch(count = 5, language = 'javascript', difficulty = null, { lastSeenAt = new Map(), topic = null, seed = createSeed(), now = Date.now() } = {}) {
+    if (language === POLYGLOT_LANGUAGE.id) {
+      return this.getPolyglotQuestions(count, difficulty, { lastSeenAt, topic, seed, now });
+    }
+
+    const questionPool = this.getRotationPool(language);
 
     if (questionPool.length === 0) {
       console.warn(`No questions found for language: ${language}`);
       return [];
     }
 
-    // Shuffle and take first N questions
-    const shuffled = [...questionPool].sort(() => Math.random() - 0.5);
-    return shuffled.slice(0, Math.min(count, shuffled.length));
+    const tiers = this.getDifficulties().map(d => d.id);
+    const targetIndex = tiers.indexOf(difficulty);
+
+    // Distance of a question's tier from the requested one (unrated tiers sort last).
+    // Measured difficulty from calibration wins over the authored label.
+    // With no (or an unknown) difficulty every question is equally close.
+    const distanceOf = (question) => {
+      if (targetIndex === -1) {
+        return 0;
+      }
+      const index = tiers.indexOf(question.measuredDifficulty || question.difficulty);
+      return index === -1 ? tiers.length : Math.abs(index - targetIndex);
+    };
+
+    const recentWindow = RECENT_QUESTION_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const isRecent = (question) => lastSeenAt.has(question.id) && now - lastSeenAt.get(question.id).getTime() < recentWindow;
+
+    // Recently seen questions weigh more the longer ago the players saw them
+    const freshnessOf = (question) => {
+      if (!isRecent(question)) {
+        return 1;
+      }
+      const { min, max } = SELECTION_WEIGHTS.recentlySeen;
+      const age = Math.max(0, now - lastSeenAt.get(question.id).getTime()) / recentWindow;
+      return min + (max - min) * age;
+    };
+
+    const weightOf = (question) => SELECTION_WEIGHTS.difficultyStep ** distanceOf(question) *
+      freshnessOf(question) *
+      SELECTION_WEIGHTS.openReport ** (this.openReportCounts.get(question.id) || 0);
+
+    const pick = (pool, slots) => weightedDraw(pool, slots, { seed, keyOf: q => q.id, weightOf });
+
+    const hasTopic = (question) => question.tags.includes(topic);
+    const selected = pick(topic ? questionPool.filter(hasTopic) : questionPool, count);
+
+    if (topic && selected.length < count) {
+      console.warn(`Not enough ${language} questions tagged "${topic}", filled match from other topics`);
+      selected.push(...pick(questionPool.filter(q => !hasTopic(q)), count - selected.length));
+    }
+
+    // Only warn about real shortages - a weighted draw may pick the odd outlier with plenty to choose from
+    const candidates = topic && selected.every(hasTopic) ? questionPool.filter(hasTopic) : questionPool;
+    const reusedCount = selected.filter(isRecent).length;
+    if (reusedCount > 0 && candidates.filter(q => !isRecent(q)).length < count) {
+      console.warn(`Not enough unseen ${language} questions, reusing ${reusedCount} recently seen`);
+    }
+
+    if (selected.some(q => distanceOf(q) > 0) && candidates.filter(q => distanceOf(q) === 0).length < count) {
+      console.warn(`Not enough ${difficulty} ${language} questions, filled match from neighbouring difficulties`);
+    }
+
+    return selected;
   }
 
-  // Get available languages
+  // Draw a polyglot match: an even share of questions from every enabled language, interleaved
+  // so consecutive questions switch language. With a topic, only languages that have questions
+  // on it take part - unless together they can't fill the match, then every language does.
+  // A language too small for its share (with a topic: too few questions on it) hands the rest on.
+  getPolyglotQuestions(count, difficulty, { lastSeenAt, topic, seed, now }) {
+    const poolSizes = new Map(this.getAvailableLanguages().map(l => [l.id, this.getRotationPool(l.id).length]));
+    const languages = weightedDraw([...poolSizes.keys()].filter(id => poolSizes.get(id) > 0), poolSizes.size, {
+      seed,
+      keyOf: id => `language:${id}`,
+      weightOf: () => 1
+    });
+    const topicCounts = new Map(languages.map(id => [id, topic ? this.getRotationPool(id).filter(q => q.tags.includes(topic)).length : 0]));
+    const onTopic = languages.filter(id => topicCounts.get(id) > 0);
+    const onTopicTotal = onTopic.reduce((sum, id) => sum + topicCounts.get(id), 0);
+    const topicOnly = Boolean(topic) && onTopicTotal >= count;
+    const participants = topicOnly ? onTopic : languages;
+    const capacities = topicOnly ? topicCounts : poolSizes;
+
+    // Deal the slots out one round at a time (the seeded order decides who gets the odd ones)
+    const shares = new Map(participants.map(id => [id, 0]));
+    let remaining = count;
+    while (remaining > 0) {
+      const open = participants.filter(id => shares.get(id) < capacities.get(id));
+      if (open.length === 0) {
+        break;
+      }
+      open.slice(0, remaining).forEach(id => shares.set(id, shares.get(id) + 1));
+      remaining -= Math.min(open.length, remaining);
+    }
+
+    const drawn = participants
+      .filter(id => shares.get(id) > 0)
+      .map(id => this.getQuestionsForMatch(shares.get(id), id, difficulty, { lastSeenAt, topic, seed, now }));
+
+    const selected = [];
+    const rounds = Math.max(0, ...drawn.map(questions => questions.length));
+    for (let round = 0; round < rounds; round++) {
+      drawn.forEach(questions => {
+        if (questions[round]) {
+          selected.push(questions[round]);
+        }
+      });
+    }
+
+    // No language was given more slots than it has questions on the topic, so none had to top up
+    if (topicOnly && !selected.every(q => q.tags.includes(topic))) {
+      console.warn(`Polyglot match for "${topic}" dealt questions from other topics although enough were tagged`);
+    }
+
+    return selected;
+  }
+
+  // Get questions for a match, rarely dealing questions these players answered recently
+  // Options: playerIds (human players in the match), topic (tag to draw from), seed (the match's seed),
+  // now (time of the draw - only answers given before it count as seen)
+  async getQuestionsForPlayers(count = 5, language = 'javascript', difficulty = null, { playerIds = [], topic = null, seed = createSeed(), now = Date.now() } = {}) {
+    let lastSeenAt = new Map();
+
+    if (playerIds.length > 0) {
+      try {
+        lastSeenAt = await db.getQuestionsLastSeen(playerIds, new Date(now));
+      } catch (error) {
+        console.warn('Could not load question history, selecting without it:', error.message);
+      }
+    }
+
+    return this.getQuestionsForMatch(count, language, difficulty, { lastSeenAt, topic, seed, now });
+  }
+
+  // Deal a match's questions and describe the draw, so the same questions can be dealt again later.
+  // Returns { questions, selection: { seed, language, difficulty, topic, playerIds, selectedAt, questionIds } }
+  async drawMatchQuestions(count, { seed, language, difficulty, topic = null, playerIds = [] }) {
+    const selectedAt = Date.now();
+    const questions = await this.getQuestionsForPlayers(count, language, difficulty, { playerIds, topic, seed, now: selectedAt });
+
+    return {
+      questions,
+      selection: { seed, language, difficulty, topic, playerIds, selectedAt, questionIds: questions.map(q => q.id) }
+    };
+  }
+
+  // Deal a saved match's questions again from its selection (see drawMatchQuestions).
+  // The draw only comes out the same while the questions it weighed haven't changed since -
+  // a retired, recalibrated or reported question can change it, which `reproduced` reports.
+  async replayMatchQuestions(selection) {
+    const { seed, language, difficulty, topic, playerIds, selectedAt, questionIds } = selection;
+    const questions = await this.getQuestionsForPlayers(questionIds.length, language, difficulty, { playerIds, topic, seed, now: selectedAt });
+    const replayedIds = questions.map(q => q.id);
+
+    return {
+      questions,
+      reproduced: replayedIds.length === questionIds.length && replayedIds.every((id, index) => id === questionIds[index])
+    };
+  }
+
+  // Get the enabled languages as players see them, described by their language packs.
+  // The icon is served by GET /api/languages/:id/icon; without one clients show the emoji.
   getAvailableLanguages() {
-    if (!this.metadata) {
-      return [{ id: 'javascript', name: 'JavaScript', displayName: 'JavaScript', icon: '🟨', enabled: true, questionCount: 20 }];
+    const languages = this.metadata ? this.metadata.languages : [{ ...LEGACY_LANGUAGE_PACK, questionCount: 0 }];
+    return languages.filter(l => l.enabled).map(lang => ({
+      id: lang.id,
+      displayName: lang.displayName,
+      iconUrl: lang.iconPath ? `/api/languages/${lang.id}/icon` : null,
+      emoji: lang.emoji,
+      syntax: lang.syntax,
+      questionCount: lang.questionCount
+    }));
+  }
+
+  // Get the syntax-highlighting hint for a language (its pack's `syntax`, or the id itself)
+  getSyntax(language) {
+    return this.metadata?.languages.find(l => l.id === language)?.syntax || language;
+  }
+
+  // Get the name players see for a language (the id if it has no pack)
+  getLanguageName(language) {
+    return this.metadata?.languages.find(l => l.id === language)?.displayName || language;
+  }
+
+  // Get a question's code as numbered lines of highlighting tokens (see utils/syntaxHighlighter)
+  getHighlightedCode(question) {
+    if (!this.highlightCache.has(question)) {
+      this.highlightCache.set(question, highlightCode(question.code, this.getSyntax(question.language)));
+    }
+    return this.highlightCache.get(question);
+  }
+
+  // Get the language options players can pick: every enabled language, plus polyglot
+  // when at least two languages have questions to mix
+  getLanguageOptions() {
+    const languages = this.getAvailableLanguages();
+    const playable = languages.filter(l => l.questionCount > 0);
+
+    if (playable.length < 2) {
+      return languages;
     }
-    return this.metadata.languages.filter(l => l.enabled);
+
+    return [...languages, {
+      id: POLYGLOT_LANGUAGE.id,
+      displayName: POLYGLOT_LANGUAGE.displayName,
+      iconUrl: null,
+      emoji: POLYGLOT_LANGUAGE.emoji,
+      syntax: null,
+      questionCount: playable.reduce((sum, l) => sum + l.questionCount, 0)
+    }];
+  }
+
+  // Is this a language option (a language or polyglot) players can pick?
+  isKnownLanguage(language) {
+    return this.getLanguageOptions().some(l => l.id === language);
+  }
+
+  // Get the pack of an enabled language (null if unknown or disabled)
+  getLanguagePack(language) {
+    return this.metadata?.languages.find(l => l.id === language && l.enabled) || null;
   }
 
   // Get difficulty settings
@@ -73,52 +582,229 @@ class QuestionService {
     return this.metadata.difficulties;
   }
 
+  // Get the topics players can filter matches by, with how many questions carry each tag.
+  // Names come from `topics` in question-metadata.json; tags used in question files but
+  // missing there are still listed, under their raw tag.
+  getTopics() {
+    const declared = this.metadata?.topics || [];
+    const topics = new Map(declared.map(t => [t.id, { id: t.id, name: t.name, questionCount: 0, languages: {} }]));
+
+    this.getAvailableLanguages().forEach(lang => {
+      (this.questionsByLanguage.get(lang.id) || []).forEach(question => {
+        question.tags.forEach(tag => {
+          if (!topics.has(tag)) {
+            topics.set(tag, { id: tag, name: tag, questionCount: 0, languages: {} });
+          }
+          const topic = topics.get(tag);
+          topic.questionCount++;
+          topic.languages[lang.id] = (topic.languages[lang.id] || 0) + 1;
+        });
+      });
+    });
+
+    // Polyglot matches can draw a topic from every language
+    topics.forEach(topic => {
+      topic.languages[POLYGLOT_LANGUAGE.id] = topic.questionCount;
+    });
+
+    return Array.from(topics.values()).filter(t => t.questionCount > 0);
+  }
+
+  // Is this a topic at least one question is tagged with?
+  isKnownTopic(topic) {
+    return this.getTopics().some(t => t.id === topic);
+  }
+
   // Get time limit for difficulty
   getTimeLimit(difficulty = 'medium') {
     const diff = this.getDifficulties().find(d => d.id === difficulty);
     return diff ? diff.timeLimit : 30;
   }
 
-  // Validate answer and calculate score (with language context)
-  checkAnswer(questionId, answerId, language = 'javascript') {
-    const questionPool = this.questionsByLanguage.get(language) || this.questionsByLanguage.get('javascript') || [];
-    const question = questionPool.find(q => q.id === questionId);
+  // Get the scoring policy for a difficulty.
+  // Policies come from `scoring` in question-metadata.json; a language pack may override
+  // individual fields for a difficulty through its own `scoring` section.
+  getScoringPolicy(language = 'javascript', difficulty = 'medium') {
+    const defaults = this.metadata?.scoring?.[difficulty] || {};
+    const languageEntry = this.metadata?.languages?.find(l => l.id === language);
+    const overrides = languageEntry?.scoring?.[difficulty] || {};
+
+    return { ...DEFAULT_SCORING_POLICY, ...defaults, ...overrides };
+  }
+
+  // Get the default scoring policy for every difficulty (for display in the client)
+  getScoringPolicies() {
+    const policies = {};
+    this.getDifficulties().forEach(d => {
+      policies[d.id] = this.getScoringPolicy(null, d.id);
+    });
+    return policies;
+  }
+
+  // Apply a scoring policy to an answer.
+  // responseTime is in milliseconds, streak counts this answer (1 = first correct in a row),
+  // firstCorrect is whether it is the first correct answer to the question in its match.
+  // Returns { points, breakdown } - the breakdown adds up to the points:
+  //   basePoints - speedDeduction + firstCorrectBonus + streakBonus - wrongAnswerPenalty
+  calculatePoints(policy, { isCorrect, responseTime = null, streak = 1, firstCorrect = false }) {
+    if (!isCorrect) {
+      return {
+        points: -policy.wrongAnswerPenalty,
+        breakdown: {
+          basePoints: 0,
+          speedDeduction: 0,
+          firstCorrectBonus: 0,
+          streakMultiplier: 1,
+          streakBonus: 0,
+          wrongAnswerPenalty: policy.wrongAnswerPenalty
+        }
+      };
+    }
+
+    const speedPoints = getSpeedPoints(policy, responseTime);
+    const firstCorrectBonus = firstCorrect ? policy.firstCorrectBonus : 0;
+
+    // Streak multiplier grows by `step` for every consecutive correct answer after the first
+    // (rounded to hundredths so the breakdown shows x1.2, not x1.2000000000000002)
+    const { step, max } = policy.streakMultiplier;
+    const multiplier = Math.round(Math.min(1 + step * Math.max(streak - 1, 0), max) * 100) / 100;
+    const points = Math.round((speedPoints + firstCorrectBonus) * multiplier);
+
+    return {
+      points,
+      breakdown: {
+        basePoints: policy.basePoints,
+        speedDeduction: policy.basePoints - speedPoints,
+        firstCorrectBonus,
+        streakMultiplier: multiplier,
+        streakBonus: points - speedPoints - firstCorrectBonus,
+        wrongAnswerPenalty: 0
+      }
+    };
+  }
+
+  // Compare a submitted answer with the question's correct answer for its type:
+  // a choice id (single), an array of choice ids in any order (multi) or a line number (line)
+  isAnswerCorrect(question, answer) {
+    switch (question.type) {
+      case 'multi': {
+        if (!Array.isArray(answer)) {
+          return false;
+        }
+        const selected = new Set(answer);
+        return selected.size === question.correctAnswer.length &&
+          question.correctAnswer.every(id => selected.has(id));
+      }
+      case 'line':
+        return Number(answer) === question.correctAnswer;
+      default:
+        return answer === question.correctAnswer;
+    }
+  }
+
+  // Is a submitted answer something this question could have been answered with:
+  // one of its choice ids (single), a non-empty list of distinct choice ids (multi)
+  // or one of its code's line numbers (line)
+  isValidAnswer(question, answer) {
+    const isChoiceId = id => question.choices.some(choice => choice.id === id);
+
+    switch (question.type) {
+      case 'multi':
+        return Array.isArray(answer) && answer.length > 0 &&
+          new Set(answer).size === answer.length && answer.every(isChoiceId);
+      case 'line':
+        return Number.isInteger(answer) && answer >= 1 && answer <= question.code.split('\n').length;
+      default:
+        return isChoiceId(answer);
+    }
+  }
+
+  // Validate answer and calculate score (with language context).
+  // Options:
+  //   questionSet  - the match's own question list, so answers are checked against the
+  //                  questions that were dealt even if the bank has been reloaded since
+  //   responseTime - milliseconds taken to answer (for the time decay)
+  //   streak       - consecutive correct answers before this one
+  //   firstCorrect - nobody in the match has answered this question correctly yet (for the bonus)
+  //   locale       - locale for the explanation
+  checkAnswer(questionId, answerId, language = 'javascript', { questionSet = null, responseTime = null, streak = 0, firstCorrect = false, locale = DEFAULT_LOCALE } = {}) {
+    const question = questionSet
+      ? questionSet.find(q => q.id === questionId)
+      : this.findQuestion(questionId, language);
 
     if (!question) {
       return { isValid: false, error: 'Question not found' };
     }
+    if (!this.isValidAnswer(question, answerId)) {
+      return { isValid: false, invalidAnswer: true, error: 'Invalid answer' };
+    }
 
-    const isCorrect = question.correctAnswer === answerId;
-    const basePoints = 100;
+    const isCorrect = this.isAnswerCorrect(question, answerId);
+    const policy = this.getScoringPolicy(question.language, question.difficulty);
+    const { points, breakdown } = this.calculatePoints(policy, {
+      isCorrect,
+      responseTime,
+      streak: isCorrect ? streak + 1 : 0,
+      firstCorrect
+    });
 
     return {
       isValid: true,
       isCorrect,
-      points: isCorrect ? basePoints : 0,
+      points,
+      pointsBreakdown: breakdown,
+      language: question.language,
       correctAnswer: question.correctAnswer,
-      explanation: question.explanation
+      explanation: this.localizeQuestion(question, locale).explanation
     };
   }
 
-  // Get question data without correct answer (for client)
-  getQuestionForClient(questionId, language = 'javascript') {
-    const questionPool = this.questionsByLanguage.get(language) || this.questionsByLanguage.get('javascript') || [];
-    const question = questionPool.find(q => q.id === questionId);
+  // Question text in a locale, falling back to English field by field.
+  // A regional locale ("pt-BR") falls back to its base language ("pt") first.
+  localizeQuestion(question, locale = DEFAULT_LOCALE) {
+    const translations = question.translations || {};
+    const translation = translations[locale] || translations[locale.split('-')[0]] || {};
 
-    if (!question) {
-      return null;
-    }
+    return {
+      question: translation.question || question.question,
+      choices: question.choices.map(choice => ({
+        id: choice.id,
+        text: translation.choices?.[choice.id] || choice.text
+      })),
+      explanation: translation.explanation || question.explanation
+    };
+  }
+
+  // Strip the answer from a question before sending it to a client
+  toClientQuestion(question, locale = DEFAULT_LOCALE) {
+    const { question: text, choices } = this.localizeQuestion(question, locale);
 
-    // Return question without revealing correct answer
     return {
       id: question.id,
+      type: question.type,
+      language: question.language,
+      languageName: this.getLanguageName(question.language),
+      syntax: this.getSyntax(question.language),
       code: question.code,
-      question: question.question,
-      choices: question.choices,
+      codeLines: this.getHighlightedCode(question),
+      question: text,
+      choices,
+      locale,
       timeLimit: 30 // Default, can be overridden by difficulty
     };
   }
 
+  // Get question data without correct answer (for client)
+  getQuestionForClient(questionId, language = 'javascript', locale = DEFAULT_LOCALE) {
+    const question = this.findQuestion(questionId, language);
+
+    if (!question) {
+      return null;
+    }
+
+    return this.toClientQuestion(question, locale);
+  }
+
   // Get total available questions for a language
   getQuestionCount(language = 'javascript') {
     const questionPool = this.questionsByLanguage.get(language) || [];
@@ -0,0 +1,79 @@
+/**
+ * DatabaseQuestionSource - Loads questions from the Postgres `questions` table
+ *
+ * Rows are stored in the canonical question format (see migrations
+ * 004_add_questions_table.sql through 010_add_question_authoring.sql) and normalized on load so a bad row is
+ * reported the same way as a bad JSON file.
+ */
+
+const { normalizeQuestions } = require('../../utils/questionSchema');
+
+class DatabaseQuestionSource {
+  constructor(database = require('../../config/database')) {
+    this.name = 'database';
+    this.db = database;
+  }
+
+  /**
+   * Load and normalize published questions for the given languages
+   * @param {Array<object>} languages - Enabled language packs (see utils/languagePacks)
+   * @returns {Promise<Map>} - language ID -> canonical questions
+   */
+  async loadQuestions(languages) {
+    const languageIds = languages.map(l => l.id);
+    const rows = await this.db.getQuestions(languageIds);
+    const questionsByLanguage = new Map(languageIds.map(id => [id, []]));
+
+    rows.forEach(row => {
+      questionsByLanguage.get(row.language).push(DatabaseQuestionSource.fromRow(row));
+    });
+
+    questionsByLanguage.forEach((rawQuestions, languageId) => {
+      if (rawQuestions.length === 0) {
+        console.warn(`No ${languageId} questions found in the questions table`);
+      }
+      questionsByLanguage.set(
+        languageId,
+        normalizeQuestions(rawQuestions, { file: `questions table (${languageId})`, language: languageId })
+      );
+    });
+
+    return questionsByLanguage;
+  }
+
+  /**
+   * Convert a questions table row into the raw question format normalizeQuestion expects
+   * @param {object} row - Row from the questions table
+   * @returns {object} - Raw question
+   */
+  static fromRow(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      difficulty: row.difficulty,
+      tags: row.tags,
+      code: row.code,
+      question: row.question,
+      choices: row.choices,
+      // correct_answer is JSONB shaped by type: choice id, choice ids or line number
+      correctAnswer: row.correct_answer,
+      correctAnswers: row.correct_answer,
+      correctLine: row.correct_answer,
+      explanation: row.explanation,
+      translations: row.translations
+    };
+  }
+
+  /**
+   * The database has no change feed - reload through the admin API instead
+   * @returns {boolean} - False, watching is not supported
+   */
+  watch() {
+    return false;
+  }
+
+  unwatch() {}
+}
+
+module.exports = DatabaseQuestionSource;
@@ -0,0 +1,63 @@
+/**
+ * FileQuestionSource - Loads questions from the JSON files in src/data/questions/
+ *
+ * One file per language, named by the language pack's `questionFile`
+ * (e.g. javascript.json), in either of the formats understood by
+ * utils/questionSchema.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeQuestions } = require('../../utils/questionSchema');
+
+const QUESTIONS_DIR = path.join(__dirname, '../../data/questions');
+
+class FileQuestionSource {
+  constructor(questionsDir = QUESTIONS_DIR) {
+    this.name = 'file';
+    this.questionsDir = questionsDir;
+    this.watcher = null;
+  }
+
+  /**
+   * Load and normalize questions for the given languages
+   * @param {Array<object>} languages - Enabled language packs (see utils/languagePacks)
+   * @returns {Promise<Map>} - language ID -> canonical questions
+   */
+  async loadQuestions(languages) {
+    const questionsByLanguage = new Map();
+
+    languages.forEach(({ id, questionFile }) => {
+      const questionsPath = path.join(this.questionsDir, questionFile);
+      const rawQuestions = JSON.parse(fs.readFileSync(questionsPath, 'utf8'));
+      const questions = normalizeQuestions(rawQuestions, { file: `questions/${questionFile}`, language: id });
+      questionsByLanguage.set(id, questions);
+    });
+
+    return questionsByLanguage;
+  }
+
+  /**
+   * Call onChange whenever a question file changes
+   * @param {function} onChange - Change callback
+   * @returns {boolean} - True if watching is supported
+   */
+  watch(onChange) {
+    if (!this.watcher) {
+      this.watcher = fs.watch(this.questionsDir, onChange);
+    }
+    return true;
+  }
+
+  /**
+   * Stop watching the question files
+   */
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = FileQuestionSource;
@@ -0,0 +1,24 @@
+const FileQuestionSource = require('./FileQuestionSource');
+const DatabaseQuestionSource = require('./DatabaseQuestionSource');
+
+/**
+ * Create the question source named by QUESTION_SOURCE ('file' or 'database')
+ * @param {string} type - Source type (defaults to 'file')
+ * @returns {object} - Question source
+ */
+function createQuestionSource(type = 'file') {
+  switch (type) {
+    case 'database':
+      return new DatabaseQuestionSource();
+    case 'file':
+      return new FileQuestionSource();
+    default:
+      throw new Error(`Unknown question source: ${type} (expected "file" or "database")`);
+  }
+}
+
+module.exports = {
+  FileQuestionSource,
+  DatabaseQuestionSource,
+  createQuestionSource
+};
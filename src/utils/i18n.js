@@ -0,0 +1,88 @@
+/**
+ * i18n - Server message catalogs and locale negotiation
+ *
+ * Each file in src/data/locales/ is one locale ({ name, messages }), named by
+ * its locale code (e.g. es.json). Messages may contain {placeholders}.
+ * English is the fallback for missing locales and missing messages.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '../data/locales');
+const DEFAULT_LOCALE = 'en';
+
+// locale code -> { name, messages }
+const catalogs = new Map(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => [path.basename(f, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, f), 'utf8'))])
+);
+
+// Locales the server can answer in, for the client's language picker
+function getSupportedLocales() {
+  return Array.from(catalogs.entries()).map(([id, catalog]) => ({ id, name: catalog.name }));
+}
+
+function isSupportedLocale(locale) {
+  return catalogs.has(locale);
+}
+
+/**
+ * Pick the best supported locale for a request
+ * @param {string} requested - A locale code ("pt-BR") or an Accept-Language header ("es-MX,es;q=0.9,en;q=0.8")
+ * @returns {string} - Supported locale code, DEFAULT_LOCALE if nothing matches
+ */
+function resolveLocale(requested) {
+  if (typeof requested !== 'string' || requested.length === 0) {
+    return DEFAULT_LOCALE;
+  }
+
+  // Accept-Language entries in order of preference (q defaults to 1)
+  const candidates = requested.split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.find(p => p.trim().startsWith('q='));
+      return { tag: tag.trim(), q: q ? parseFloat(q.trim().slice(2)) : 1 };
+    })
+    .filter(c => c.tag && c.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of candidates) {
+    // Exact match first ("pt-BR"), then the base language ("pt")
+    const base = tag.split('-')[0].toLowerCase();
+    const exact = Array.from(catalogs.keys()).find(id => id.toLowerCase() === tag.toLowerCase());
+    if (exact) {
+      return exact;
+    }
+    if (catalogs.has(base)) {
+      return base;
+    }
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Translate a message key
+ * @param {string} locale - Supported locale code
+ * @param {string} key - Message key (see src/data/locales/en.json)
+ * @param {object} params - Values for {placeholders}
+ * @returns {string}
+ */
+function t(locale, key, params = {}) {
+  const message = catalogs.get(locale)?.messages[key] ??
+    catalogs.get(DEFAULT_LOCALE).messages[key] ??
+    key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined ? match : String(params[name])
+  ));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getSupportedLocales,
+  isSupportedLocale,
+  resolveLocale,
+  t
+};
@@ -0,0 +1,182 @@
+/**
+ * Language packs - one self-describing JSON file per programming language
+ * under src/data/languages/, so adding a language never needs a code change:
+ *
+ *   {
+ *     "id": "go",                      // must match the file name (go.json)
+ *     "displayName": "Go",
+ *     "icon": "icons/go.png",          // optional image, relative to src/data/languages/
+ *     "emoji": "🐹",                    // shown when there is no icon (or it fails to load)
+ *     "syntax": "go",                  // syntax-highlighting hint (defaults to the id)
+ *     "aliases": ["golang"],           // other names for Markdown code blocks (optional)
+ *     "enabled": true,                 // disabled packs are never dealt
+ *     "questionFile": "go.json",       // in src/data/questions/ (defaults to <id>.json)
+ *     "order": 5,                      // position in the pickers (optional, then by id)
+ *     "scoring": { "hard": { "basePoints": 250 } } // per-difficulty overrides (optional)
+ *   }
+ */
+const fs = require('fs');
+const path = require('path');
+
+const LANGUAGES_DIR = path.join(__dirname, '../data/languages');
+
+// Language ids are lowercase, e.g. "javascript" or "cpp"
+const LANGUAGE_ID_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+// Shown for packs without an icon or emoji
+const DEFAULT_EMOJI = '💻';
+
+// Language option that mixes questions from every enabled language in one match.
+// It is not a pack, so no pack may use its id.
+const POLYGLOT_LANGUAGE = {
+  id: 'polyglot',
+  displayName: 'Polyglot',
+  emoji: '🌐'
+};
+
+/**
+ * Build an error message that points at the offending pack file
+ * @param {string} file - Pack file name
+ * @param {string} message - What is wrong
+ * @returns {Error}
+ */
+function packError(file, message) {
+  return new Error(`Invalid language pack languages/${file}: ${message}`);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validate one pack and fill in its defaults
+ * @param {object} raw - Parsed pack file
+ * @param {object} context - { file, languagesDir }
+ * @returns {object} - Language pack
+ */
+function normalizeLanguagePack(raw, { file, languagesDir }) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw packError(file, 'pack must be an object');
+  }
+
+  const id = raw.id;
+  if (typeof id !== 'string' || !LANGUAGE_ID_PATTERN.test(id)) {
+    throw packError(file, '"id" must be lowercase letters, digits, "-" or "_"');
+  }
+  if (`${id}.json` !== file) {
+    throw packError(file, `"id" is "${id}" but the file is named ${file}`);
+  }
+  if (id === POLYGLOT_LANGUAGE.id) {
+    throw packError(file, `"${id}" is reserved for mixed-language matches`);
+  }
+
+  if (!isNonEmptyString(raw.displayName)) {
+    throw packError(file, 'missing "displayName"');
+  }
+
+  let iconPath = null;
+  if (raw.icon !== undefined) {
+    iconPath = path.resolve(languagesDir, String(raw.icon));
+    if (!iconPath.startsWith(languagesDir + path.sep) || !fs.existsSync(iconPath)) {
+      throw packError(file, `icon "${raw.icon}" is not a file in languages/`);
+    }
+  }
+
+  ['emoji', 'syntax'].forEach(field => {
+    if (raw[field] !== undefined && !isNonEmptyString(raw[field])) {
+      throw packError(file, `"${field}" must be a non-empty string`);
+    }
+  });
+
+  const aliases = raw.aliases === undefined ? [] : raw.aliases;
+  if (!Array.isArray(aliases) || !aliases.every(alias => isNonEmptyString(alias) && alias === alias.toLowerCase())) {
+    throw packError(file, '"aliases" must be an array of lowercase names');
+  }
+
+  if (raw.enabled !== undefined && typeof raw.enabled !== 'boolean') {
+    throw packError(file, '"enabled" must be true or false');
+  }
+
+  const questionFile = raw.questionFile === undefined ? `${id}.json` : raw.questionFile;
+  if (typeof questionFile !== 'string' || path.basename(questionFile) !== questionFile || !questionFile.endsWith('.json')) {
+    throw packError(file, '"questionFile" must be a .json file name in questions/');
+  }
+
+  if (raw.order !== undefined && !Number.isFinite(raw.order)) {
+    throw packError(file, '"order" must be a number');
+  }
+
+  if (raw.scoring !== undefined && (!raw.scoring || typeof raw.scoring !== 'object' || Array.isArray(raw.scoring))) {
+    throw packError(file, '"scoring" must map difficulties to scoring overrides');
+  }
+
+  return {
+    id,
+    displayName: raw.displayName,
+    iconPath,
+    emoji: raw.emoji || DEFAULT_EMOJI,
+    syntax: raw.syntax || id,
+    aliases: [...aliases],
+    enabled: raw.enabled !== false,
+    questionFile,
+    order: raw.order === undefined ? Infinity : raw.order,
+    scoring: raw.scoring || {}
+  };
+}
+
+/**
+ * Load every language pack, enabled or not, in picker order
+ * @param {string} languagesDir - Folder holding the pack files
+ * @returns {Array} - Language packs
+ */
+function loadLanguagePacks(languagesDir = LANGUAGES_DIR) {
+  const packs = fs.readdirSync(languagesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(path.join(languagesDir, file), 'utf8'));
+      } catch (error) {
+        throw packError(file, `could not parse JSON (${error.message})`);
+      }
+      return normalizeLanguagePack(raw, { file, languagesDir });
+    });
+
+  if (packs.length === 0) {
+    throw new Error('No language packs found in src/data/languages/');
+  }
+
+  // Aliases must name exactly one language
+  const names = new Map();
+  packs.forEach(pack => {
+    [pack.id, ...pack.aliases].forEach(name => {
+      if (names.has(name) && names.get(name) !== pack.id) {
+        throw packError(`${pack.id}.json`, `"${name}" is already a name of ${names.get(name)}`);
+      }
+      names.set(name, pack.id);
+    });
+  });
+
+  return packs.sort((a, b) => a.order - b.order || a.id.localeCompare(b.id));
+}
+
+/**
+ * Map every id and alias to its language id (for Markdown code blocks)
+ * @param {Array} packs - Language packs
+ * @returns {Map} - name -> language id
+ */
+function getLanguageNames(packs) {
+  const names = new Map();
+  packs.forEach(pack => {
+    names.set(pack.id, pack.id);
+    pack.aliases.forEach(alias => names.set(alias, pack.id));
+  });
+  return names;
+}
+
+module.exports = {
+  LANGUAGES_DIR,
+  POLYGLOT_LANGUAGE,
+  loadLanguagePacks,
+  getLanguageNames
+};
@@ -0,0 +1,333 @@
+/**
+ * Markdown question parser - turns a bug-hunt Markdown file into a question
+ * in the choice format used by the files under src/data/questions/
+ *
+ * A file holds one question:
+ *
+ *   ---
+ *   id: js23
+ *   difficulty: medium
+ *   tags: closures, async
+ *   ---
+ *
+ *   # Optional title (ignored)
+ *
+ *   ```javascript
+ *   for (var i = 0; i < 3; i++) {
+ *     setTimeout(() => console.log(i), 0);
+ *   }
+ *   ```
+ *
+ *   What does this print?
+ *
+ *   - [ ] 0 1 2
+ *   - [x] 3 3 3
+ *
+ *   ## Explanation
+ *
+ *   `var` is function-scoped, so every callback sees the final value of i.
+ *
+ * Front matter is optional (the id defaults to the file name). The code
+ * block's info string picks the language (its id or one of the aliases in
+ * its language pack), the choices get ids a, b, c... in order and the ones
+ * marked [x] are correct. `## Code`, `## Question` and `## Choices` headings
+ * may be used to label the parts; they are ignored.
+ *
+ * Problems are reported with the 1-based line they were found on.
+ */
+const { QUESTION_TYPES, QUESTION_STATUSES, DIFFICULTY_TIERS, TAG_PATTERN } = require('./questionSchema');
+
+// Keys allowed in the front matter block
+const FRONT_MATTER_KEYS = ['id', 'type', 'difficulty', 'tags', 'status'];
+
+// `## ...` headings that may label the parts of a question
+const SECTION_HEADINGS = ['code', 'question', 'choices', 'explanation'];
+
+const FENCE_PATTERN = /^(```|~~~)\s*(\S*)\s*$/;
+const CHOICE_PATTERN = /^[-*]\s+\[( |x|X)\]\s+(.*)$/;
+const UNCHECKED_ITEM_PATTERN = /^[-*]\s+\S/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+/**
+ * Join Markdown lines into plain text - soft-wrapped lines become one line,
+ * blank lines separate paragraphs
+ * @param {Array} lines - Raw lines
+ * @returns {string}
+ */
+function joinParagraphs(lines) {
+  const paragraphs = [];
+  let current = [];
+
+  lines.forEach(line => {
+    if (line.trim() === '') {
+      if (current.length > 0) {
+        paragraphs.push(current.join(' '));
+        current = [];
+      }
+    } else {
+      current.push(line.trim());
+    }
+  });
+
+  if (current.length > 0) {
+    paragraphs.push(current.join(' '));
+  }
+
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Parse the front matter between the two `---` lines
+ * @returns {object} - key -> { value, line }
+ */
+function parseFrontMatter(lines, start, end, { topics, report }) {
+  const fields = {};
+
+  for (let i = start; i < end; i++) {
+    const line = lines[i].trim();
+    if (line === '' || line.startsWith('#')) {
+      continue;
+    }
+
+    const match = line.match(/^([A-Za-z]+)\s*:\s*(.*)$/);
+    if (!match) {
+      report(i, 'expected "key: value" in the front matter');
+      continue;
+    }
+
+    const [, key, value] = match;
+    if (!FRONT_MATTER_KEYS.includes(key)) {
+      report(i, `unknown front matter key "${key}" (expected ${FRONT_MATTER_KEYS.join(', ')})`);
+      continue;
+    }
+    if (fields[key]) {
+      report(i, `"${key}" is set twice (first on line ${fields[key].line})`);
+      continue;
+    }
+    if (value === '') {
+      report(i, `"${key}" has no value`);
+      continue;
+    }
+
+    fields[key] = { value, line: i + 1 };
+
+    if (key === 'type') {
+      if (value === 'line') {
+        report(i, 'find-the-line questions can\'t be written in Markdown yet');
+      } else if (!QUESTION_TYPES.includes(value)) {
+        report(i, `unknown type "${value}" (expected single or multi)`);
+      }
+    } else if (key === 'difficulty' && !DIFFICULTY_TIERS.includes(value)) {
+      report(i, `unknown difficulty "${value}" (expected ${DIFFICULTY_TIERS.join(', ')})`);
+    } else if (key === 'status' && !QUESTION_STATUSES.includes(value)) {
+      report(i, `unknown status "${value}" (expected ${QUESTION_STATUSES.join(', ')})`);
+    } else if (key === 'tags') {
+      const tags = value.replace(/^\[|\]$/g, '').split(',').map(tag => tag.trim()).filter(Boolean);
+      tags.forEach(tag => {
+        if (!TAG_PATTERN.test(tag)) {
+          report(i, `invalid tag "${tag}" (tags are lowercase kebab-case)`);
+        } else if (topics && !topics.includes(tag)) {
+          report(i, `tag "${tag}" is not declared in question-metadata.json topics`);
+        }
+      });
+      if (new Set(tags).size !== tags.length) {
+        report(i, 'tags must not repeat');
+      }
+      fields[key].value = tags;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Parse one Markdown question file
+ * @param {string} text - File contents
+ * @param {object} options - { defaultId, languages, topics, language }
+ *   defaultId - id to use when the front matter has none (usually the file name)
+ *   languages - Map of language names and aliases to language ids (see utils/languagePacks);
+ *               the code block must name one of them
+ *   topics    - declared topic ids (optional; tags are checked against them)
+ *   language  - language to assume when the code block has no info string
+ * @returns {object} - { question, language, errors: [{ line, message }] }
+ */
+function parseMarkdownQuestion(text, { defaultId, languages, topics = null, language: defaultLanguage = null }) {
+  const lines = text.split(/\r?\n/);
+  const errors = [];
+  const report = (index, message) => errors.push({ line: index + 1, message });
+  const done = () => ({ question: null, language: null, errors: errors.sort((a, b) => a.line - b.line) });
+
+  // 1. Front matter
+  let i = 0;
+  let fields = {};
+  if (lines[0] !== undefined && lines[0].trim() === '---') {
+    const close = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+    if (close === -1) {
+      report(0, 'front matter is never closed with "---"');
+      return done();
+    }
+    fields = parseFrontMatter(lines, 1, close, { topics, report });
+    i = close + 1;
+  }
+
+  // 2. Body: title, code block, prompt, choices, explanation - in that order
+  const bodyStart = i;
+  let code = null;
+  let codeLine = null;
+  let fenceLanguage = '';
+  const promptLines = [];
+  const choices = []; // { text, correct, line }
+  let explanationLine = null;
+  let explanationLines = [];
+
+  for (; i < lines.length; i++) {
+    const raw = lines[i];
+    const line = raw.trim();
+
+    if (line === '') {
+      if (code !== null && choices.length === 0) {
+        promptLines.push(raw);
+      }
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const title = heading[2].toLowerCase();
+      if (heading[1] === '#' && code === null && promptLines.length === 0) {
+        continue;
+      }
+      if (heading[1] !== '##' || !SECTION_HEADINGS.includes(title)) {
+        report(i, `unexpected heading "${line}" (sections are ${SECTION_HEADINGS.map(s => `## ${s[0].toUpperCase()}${s.slice(1)}`).join(', ')})`);
+        continue;
+      }
+      if (title === 'explanation') {
+        explanationLine = i + 1;
+        explanationLines = lines.slice(i + 1);
+        break;
+      }
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      if (code !== null) {
+        report(i, `only one code block is allowed (the first starts on line ${codeLine})`);
+      }
+      const close = lines.findIndex((l, index) => index > i && l.trim() === fence[1]);
+      if (close === -1) {
+        report(i, 'code block is never closed');
+        return done();
+      }
+      if (code === null) {
+        code = lines.slice(i + 1, close).join('\n');
+        codeLine = i + 1;
+        fenceLanguage = fence[2].toLowerCase();
+        if (code.trim() === '') {
+          report(i, 'code block is empty');
+        }
+      }
+      i = close;
+      continue;
+    }
+
+    if (code === null) {
+      report(i, 'expected the code block before any text');
+      continue;
+    }
+
+    const choice = line.match(CHOICE_PATTERN);
+    if (choice) {
+      choices.push({ text: choice[2].trim(), correct: choice[1] !== ' ', line: i + 1 });
+      continue;
+    }
+
+    if (choices.length > 0) {
+      // Indented lines continue the previous choice
+      if (/^\s{2,}/.test(raw)) {
+        choices[choices.length - 1].text += ` ${line}`;
+      } else {
+        report(i, 'unexpected text after the choices (start the explanation with "## Explanation")');
+      }
+      continue;
+    }
+
+    if (UNCHECKED_ITEM_PATTERN.test(line)) {
+      report(i, 'choices need a checkbox: "- [ ]" for wrong answers, "- [x]" for correct ones');
+      continue;
+    }
+
+    promptLines.push(raw);
+  }
+
+  const lastLine = Math.max(lines.length - 1, 0);
+
+  // 3. Check that every part is there
+  if (code === null) {
+    report(Math.min(bodyStart, lastLine), 'missing the fenced code block');
+    return done();
+  }
+
+  const language = fenceLanguage ? languages.get(fenceLanguage) : defaultLanguage;
+  if (!fenceLanguage && !language) {
+    report(codeLine - 1, 'code block needs a language, e.g. ```javascript');
+  } else if (!language) {
+    report(codeLine - 1, `unknown language "${fenceLanguage}" (expected ${[...languages.keys()].join(', ')})`);
+  }
+
+  const prompt = joinParagraphs(promptLines);
+  if (prompt === '') {
+    report(choices.length > 0 ? choices[0].line - 1 : codeLine - 1, 'missing the question prompt (write it between the code block and the choices)');
+  }
+
+  const type = fields.type ? fields.type.value : 'single';
+  const correct = choices.filter(c => c.correct);
+
+  if (choices.length === 0) {
+    report(explanationLine ? explanationLine - 1 : lastLine, 'missing the choice list ("- [ ] wrong answer" / "- [x] right answer")');
+  } else if (choices.length < 2) {
+    report(choices[0].line - 1, 'needs at least two choices');
+  } else if (choices.length > 26) {
+    report(choices[26].line - 1, 'too many choices (at most 26)');
+  } else if (correct.length === 0) {
+    report(choices[0].line - 1, 'no choice is marked correct with "[x]"');
+  } else if (correct.length > 1 && type !== 'multi') {
+    report(correct[1].line - 1, 'more than one choice is marked correct (add "type: multi" for select-all questions)');
+  }
+
+  const explanation = joinParagraphs(explanationLines);
+  if (explanationLine === null) {
+    report(lastLine, 'missing the "## Explanation" section');
+  } else if (explanation === '') {
+    report(explanationLine - 1, 'explanation is empty');
+  }
+
+  if (errors.length > 0) {
+    return done();
+  }
+
+  // 4. Build the question in the choice format
+  const withIds = choices.map((choice, index) => ({ ...choice, id: String.fromCharCode(97 + index) }));
+  const correctIds = withIds.filter(c => c.correct).map(c => c.id);
+
+  const question = { id: fields.id ? fields.id.value : defaultId };
+  if (type !== 'single') question.type = type;
+  if (fields.difficulty) question.difficulty = fields.difficulty.value;
+  if (fields.tags) question.tags = fields.tags.value;
+  if (fields.status) question.status = fields.status.value;
+  question.code = code;
+  question.question = prompt;
+  question.choices = withIds.map(c => ({ id: c.id, text: c.text }));
+  if (type === 'multi') {
+    question.correctAnswers = correctIds;
+  } else {
+    question.correctAnswer = correctIds[0];
+  }
+  question.explanation = explanation;
+
+  return { question, language, errors };
+}
+
+module.exports = {
+  parseMarkdownQuestion
+};
@@ -0,0 +1,377 @@
+/**
+ * Question schema - canonical question model shared by every language bank
+ *
+ * Question files come in two shapes:
+ *   - choice format:  { id, type, difficulty, tags, code, question, choices: [{ id, text }], correctAnswer, explanation }
+ *   - answer format:  { id, type, difficulty, tags, code, bugDescription, answers: [{ id, text, isCorrect }] }
+ *
+ * Multi questions list `correctAnswers` (choice format) or flag several answers;
+ * line questions have no choices and give `correctLine` instead.
+ *
+ * Either shape may carry `translations` keyed by locale code, each overriding
+ * the English text it provides (anything left out falls back to English):
+ *   { "es": { question, choices: { <choice id>: text }, explanation } }
+ *
+ * Questions whose bug shows up at runtime may carry a `verify` block for the
+ * offline verifier (scripts/verify-questions.js), which runs setup + code + driver
+ * and checks that the described failure happens:
+ *   { setup?, driver?, expect: { error?: <exception name>, message?: <text in its message>, output?: <printed text> } }
+ *
+ * Both are normalized into the canonical model below so the rest of the
+ * server (multiplayer, practice, bots) never has to know which one a file uses:
+ *   { id, language, type, status, difficulty, tags, code, question, choices: [{ id, text }], correctAnswer, explanation, translations, verify }
+ */
+
+// Prompt used for answer-format questions, which describe the bug rather than ask about it
+const DEFAULT_FIX_PROMPT = 'Which change fixes the bug in this code?';
+
+// Prompt used for find-the-line questions that don't supply their own
+const DEFAULT_LINE_PROMPT = 'Click the line that contains the bug.';
+
+// Question types:
+//   single - pick one choice (correctAnswer is a choice id)
+//   multi  - select all that apply (correctAnswer is an array of choice ids)
+//   line   - click the buggy line (correctAnswer is a 1-based line number in `code`)
+const QUESTION_TYPES = ['single', 'multi', 'line'];
+
+// Authoring workflow: draft -> in_review -> published -> retired.
+// Only published questions are dealt; questions without a status are published.
+const QUESTION_STATUSES = ['draft', 'in_review', 'published', 'retired'];
+
+// Difficulty tiers a question can be rated with (ordered easiest to hardest)
+const DIFFICULTY_TIERS = ['easy', 'medium', 'hard'];
+
+// Rating assumed for questions written before difficulty tags existed
+const DEFAULT_DIFFICULTY = 'medium';
+
+// Topic tags are lowercase kebab-case, e.g. "off-by-one" or "null-handling"
+const TAG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Translation keys are locale codes, e.g. "es" or "pt-BR"
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Build an error message that points at the offending file and question
+ * @param {string} file - Source file name
+ * @param {string|null} questionId - Question ID (if known)
+ * @param {string} message - What is wrong
+ * @returns {Error}
+ */
+function schemaError(file, questionId, message) {
+  const location = questionId ? `${file} (question ${questionId})` : file;
+  return new Error(`Invalid question in ${location}: ${message}`);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Normalize a single raw question into the canonical model
+ * @param {object} raw - Question as stored in the JSON file
+ * @param {object} context - { file, language }
+ * @returns {object} - Canonical question
+ */
+function normalizeQuestion(raw, { file, language }) {
+  if (!raw || typeof raw !== 'object') {
+    throw schemaError(file, null, 'question must be an object');
+  }
+
+  const id = raw.id;
+  if (!isNonEmptyString(id)) {
+    throw schemaError(file, null, 'missing "id"');
+  }
+
+  if (!isNonEmptyString(raw.code)) {
+    throw schemaError(file, id, 'missing "code"');
+  }
+
+  const difficulty = raw.difficulty === undefined ? DEFAULT_DIFFICULTY : raw.difficulty;
+  if (!DIFFICULTY_TIERS.includes(difficulty)) {
+    throw schemaError(file, id, `unknown difficulty "${difficulty}" (expected ${DIFFICULTY_TIERS.join(', ')})`);
+  }
+
+  const type = raw.type === undefined ? 'single' : raw.type;
+  if (!QUESTION_TYPES.includes(type)) {
+    throw schemaError(file, id, `unknown type "${type}" (expected ${QUESTION_TYPES.join(', ')})`);
+  }
+
+  const tags = normalizeTags(raw.tags, { file, id });
+
+  const status = raw.status === undefined ? 'published' : raw.status;
+  if (!QUESTION_STATUSES.includes(status)) {
+    throw schemaError(file, id, `unknown status "${status}" (expected ${QUESTION_STATUSES.join(', ')})`);
+  }
+
+  let question;
+  let choices;
+  let correctAnswer;
+  let explanation;
+
+  if (type === 'line') {
+    // Find-the-line - the answer is a 1-based line number in `code`
+    const lineCount = raw.code.split('\n').length;
+    if (!Number.isInteger(raw.correctLine) || raw.correctLine < 1 || raw.correctLine > lineCount) {
+      throw schemaError(file, id, `"correctLine" must be a line number between 1 and ${lineCount}`);
+    }
+
+    question = raw.question || DEFAULT_LINE_PROMPT;
+    choices = [];
+    correctAnswer = raw.correctLine;
+    explanation = raw.explanation;
+  } else if (Array.isArray(raw.choices)) {
+    // Choice format
+    question = raw.question;
+    choices = raw.choices;
+    correctAnswer = type === 'multi' ? raw.correctAnswers : raw.correctAnswer;
+    explanation = raw.explanation;
+  } else if (Array.isArray(raw.answers)) {
+    // Answer format - the correct answer(s) are flagged inline
+    const correct = raw.answers.filter(a => a && a.isCorrect === true);
+    if (type === 'single' && correct.length !== 1) {
+      throw schemaError(file, id, `expected exactly one answer with "isCorrect": true, found ${correct.length}`);
+    }
+
+    question = raw.question || DEFAULT_FIX_PROMPT;
+    choices = raw.answers;
+    correctAnswer = type === 'multi' ? correct.map(a => a.id) : correct[0].id;
+    explanation = raw.explanation || raw.bugDescription;
+  } else {
+    throw schemaError(file, id, 'expected a "choices" or "answers" array');
+  }
+
+  if (!isNonEmptyString(question)) {
+    throw schemaError(file, id, 'missing "question"');
+  }
+
+  const normalizedChoices = type === 'line' ? [] : normalizeChoices(choices, correctAnswer, { file, id, type });
+
+  if (!isNonEmptyString(explanation)) {
+    throw schemaError(file, id, 'missing "explanation"');
+  }
+
+  const translations = normalizeTranslations(raw.translations, normalizedChoices, { file, id });
+  const verify = normalizeVerify(raw.verify, { file, id });
+
+  return {
+    id,
+    language,
+    type,
+    status,
+    difficulty,
+    tags,
+    code: raw.code,
+    question,
+    choices: normalizedChoices,
+    correctAnswer,
+    explanation,
+    translations,
+    verify
+  };
+}
+
+/**
+ * Validate a question's runtime check (optional - questions without one get null)
+ * @param {object} verify - { setup, driver, expect: { error, message, output } }
+ * @returns {object|null}
+ */
+function normalizeVerify(verify, { file, id }) {
+  if (verify === undefined) {
+    return null;
+  }
+
+  if (!verify || typeof verify !== 'object' || Array.isArray(verify)) {
+    throw schemaError(file, id, '"verify" must be an object');
+  }
+
+  ['setup', 'driver'].forEach(field => {
+    if (verify[field] !== undefined && typeof verify[field] !== 'string') {
+      throw schemaError(file, id, `"verify.${field}" must be a string of code`);
+    }
+  });
+
+  const expect = verify.expect;
+  if (!expect || typeof expect !== 'object' || Array.isArray(expect)) {
+    throw schemaError(file, id, '"verify.expect" must be an object');
+  }
+  if (expect.error === undefined && expect.output === undefined) {
+    throw schemaError(file, id, '"verify.expect" needs an "error" or an "output"');
+  }
+  if (expect.error !== undefined && !isNonEmptyString(expect.error)) {
+    throw schemaError(file, id, '"verify.expect.error" must be an exception name, e.g. "IndexError"');
+  }
+  if (expect.message !== undefined && (expect.error === undefined || !isNonEmptyString(expect.message))) {
+    throw schemaError(file, id, '"verify.expect.message" must be text and needs an "error"');
+  }
+  if (expect.output !== undefined && typeof expect.output !== 'string') {
+    throw schemaError(file, id, '"verify.expect.output" must be a string');
+  }
+
+  const normalizedExpect = {};
+  ['error', 'message', 'output'].forEach(field => {
+    if (expect[field] !== undefined) {
+      normalizedExpect[field] = expect[field];
+    }
+  });
+
+  return {
+    setup: verify.setup || '',
+    driver: verify.driver || '',
+    expect: normalizedExpect
+  };
+}
+
+/**
+ * Validate a question's topic tags (optional - untagged questions get [])
+ * @returns {Array} - Unique tags in file order
+ */
+function normalizeTags(tags, { file, id }) {
+  if (tags === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(tags)) {
+    throw schemaError(file, id, '"tags" must be an array of strings');
+  }
+
+  tags.forEach(tag => {
+    if (typeof tag !== 'string' || !TAG_PATTERN.test(tag)) {
+      throw schemaError(file, id, `invalid tag ${JSON.stringify(tag)} (tags are lowercase kebab-case)`);
+    }
+  });
+
+  if (new Set(tags).size !== tags.length) {
+    throw schemaError(file, id, 'tags must not repeat');
+  }
+
+  return [...tags];
+}
+
+/**
+ * Validate a question's translations (optional - untranslated questions get {})
+ * @param {object} translations - locale -> { question, choices: { choiceId: text }, explanation }
+ * @param {Array} choices - The question's normalized choices
+ * @returns {object} - Translations with only the known fields
+ */
+function normalizeTranslations(translations, choices, { file, id }) {
+  if (translations === undefined) {
+    return {};
+  }
+
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    throw schemaError(file, id, '"translations" must be an object keyed by locale');
+  }
+
+  const choiceIds = new Set(choices.map(c => c.id));
+  const normalized = {};
+
+  Object.entries(translations).forEach(([locale, translation]) => {
+    if (!LOCALE_PATTERN.test(locale)) {
+      throw schemaError(file, id, `invalid translation locale "${locale}" (expected e.g. "es" or "pt-BR")`);
+    }
+    if (!translation || typeof translation !== 'object') {
+      throw schemaError(file, id, `translation "${locale}" must be an object`);
+    }
+
+    const entry = {};
+
+    ['question', 'explanation'].forEach(field => {
+      if (translation[field] !== undefined) {
+        if (!isNonEmptyString(translation[field])) {
+          throw schemaError(file, id, `translation "${locale}" has an empty "${field}"`);
+        }
+        entry[field] = translation[field];
+      }
+    });
+
+    if (translation.choices !== undefined) {
+      if (!translation.choices || typeof translation.choices !== 'object' || Array.isArray(translation.choices)) {
+        throw schemaError(file, id, `translation "${locale}" choices must map choice ids to text`);
+      }
+      Object.entries(translation.choices).forEach(([choiceId, text]) => {
+        if (!choiceIds.has(choiceId)) {
+          throw schemaError(file, id, `translation "${locale}" has text for unknown choice "${choiceId}"`);
+        }
+        if (!isNonEmptyString(text)) {
+          throw schemaError(file, id, `translation "${locale}" has empty text for choice "${choiceId}"`);
+        }
+      });
+      entry.choices = { ...translation.choices };
+    }
+
+    normalized[locale] = entry;
+  });
+
+  return normalized;
+}
+
+/**
+ * Validate the choices of a single or multi question against its correct answer(s)
+ * @returns {Array} - Choices reduced to { id, text }
+ */
+function normalizeChoices(choices, correctAnswer, { file, id, type }) {
+  if (choices.length < 2) {
+    throw schemaError(file, id, 'needs at least two choices');
+  }
+
+  const normalizedChoices = choices.map((choice, index) => {
+    if (!choice || !isNonEmptyString(choice.id) || !isNonEmptyString(choice.text)) {
+      throw schemaError(file, id, `choice #${index + 1} needs an "id" and "text"`);
+    }
+    return { id: choice.id, text: choice.text };
+  });
+
+  const choiceIds = new Set(normalizedChoices.map(c => c.id));
+  if (choiceIds.size !== normalizedChoices.length) {
+    throw schemaError(file, id, 'choice ids must be unique within a question');
+  }
+
+  if (type === 'multi') {
+    if (!Array.isArray(correctAnswer) || correctAnswer.length === 0) {
+      throw schemaError(file, id, 'multi questions need at least one correct answer');
+    }
+    if (new Set(correctAnswer).size !== correctAnswer.length) {
+      throw schemaError(file, id, 'correct answers must not repeat');
+    }
+  }
+
+  const correctIds = type === 'multi' ? correctAnswer : [correctAnswer];
+  correctIds.forEach(correctId => {
+    if (!choiceIds.has(correctId)) {
+      throw schemaError(file, id, `correct answer "${correctId}" is not one of the choices`);
+    }
+  });
+
+  return normalizedChoices;
+}
+
+/**
+ * Normalize every question in a file
+ * @param {Array} rawQuestions - Parsed JSON contents
+ * @param {object} context - { file, language }
+ * @returns {Array} - Canonical questions
+ */
+function normalizeQuestions(rawQuestions, { file, language }) {
+  if (!Array.isArray(rawQuestions)) {
+    throw schemaError(file, null, 'file must contain an array of questions');
+  }
+
+  const seen = new Set();
+  return rawQuestions.map(raw => {
+    const question = normalizeQuestion(raw, { file, language });
+    if (seen.has(question.id)) {
+      throw schemaError(file, question.id, 'duplicate question id');
+    }
+    seen.add(question.id);
+    return question;
+  });
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  QUESTION_STATUSES,
+  DIFFICULTY_TIERS,
+  TAG_PATTERN,
+  normalizeQuestion,
+  normalizeQuestions
+};
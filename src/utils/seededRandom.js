@@ -0,0 +1,61 @@
+/**
+ * Seeded randomness - reproducible draws for match question selection
+ *
+ * A match gets a random 32-bit seed when it is created. Every random number
+ * the question draw needs comes from that seed plus a key (usually a
+ * question ID), so the same seed, question bank and inputs always deal the
+ * same questions in the same order - and adding or removing one question only
+ * changes that question's number, not everyone else's.
+ */
+const crypto = require('crypto');
+
+/**
+ * Pick a new seed for a match
+ * @returns {number} - Unsigned 32-bit integer
+ */
+function createSeed() {
+  return crypto.randomInt(0, 2 ** 32);
+}
+
+/**
+ * Check that a value can be used as a seed
+ * @param {*} seed
+ * @returns {boolean}
+ */
+function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32;
+}
+
+// FNV-1a hash of a string, 32 bits
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// One round of mulberry32 - spreads the bits of a 32-bit value over the whole output
+function mix(value) {
+  let t = (value + 0x6d2b79f5) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return (t ^ (t >>> 14)) >>> 0;
+}
+
+/**
+ * Get the random number a seed assigns to a key
+ * @param {number} seed - Match seed (see createSeed)
+ * @param {string} key - What the number is for, e.g. a question ID
+ * @returns {number} - In (0, 1), never exactly 0 or 1; always the same for the same seed and key
+ */
+function seededRandom(seed, key) {
+  return (mix(hashString(`${seed}:${key}`)) + 0.5) / 2 ** 32;
+}
+
+module.exports = {
+  createSeed,
+  isValidSeed,
+  seededRandom
+};
@@ -0,0 +1,237 @@
+/**
+ * Syntax highlighter - splits question code into typed tokens, line by line,
+ * so every client renders the same highlighting without guessing the language
+ *
+ * Output (one entry per line of code, numbered from 1):
+ *   [{ number: 1, tokens: [{ type: 'keyword', text: 'function' }, { type: 'plain', text: ' add(' }, ...] }]
+ *
+ * Token types: keyword, literal, string, comment, number, function, plain.
+ * Grammars are picked by a language pack's `syntax` hint; unknown hints get
+ * a generic grammar that still marks strings, numbers and comments.
+ */
+
+// Grammar fields:
+//   keywords         - reserved words
+//   literals         - built-in constants
+//   lineComments     - markers that comment out the rest of the line
+//   blockComment     - [open, close] or null
+//   strings          - string delimiters (longest first)
+//   multilineStrings - delimiters whose strings may span lines
+//   stringPrefix     - letters that may prefix a string (Python r"", f"")
+//   preprocessor     - '#' directives at the start of a line (C/C++)
+const GRAMMARS = {
+  javascript: {
+    keywords: [
+      'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+      'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in',
+      'instanceof', 'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try',
+      'typeof', 'var', 'void', 'while', 'with', 'yield'
+    ],
+    literals: ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'],
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'", '`'],
+    multilineStrings: ['`']
+  },
+  python: {
+    keywords: [
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+      'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+      'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+    ],
+    literals: ['True', 'False', 'None'],
+    lineComments: ['#'],
+    blockComment: null,
+    strings: ['"""', "'''", '"', "'"],
+    multilineStrings: ['"""', "'''"],
+    stringPrefix: /^(?:[rRbBuUfF]|[rR][bBfF]|[bBfF][rR])(?=['"])/
+  },
+  java: {
+    keywords: [
+      'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+      'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float',
+      'for', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new',
+      'package', 'private', 'protected', 'public', 'record', 'return', 'short', 'static', 'super',
+      'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'var', 'void',
+      'volatile', 'while', 'yield'
+    ],
+    literals: ['true', 'false', 'null'],
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    strings: ['"""', '"', "'"],
+    multilineStrings: ['"""']
+  },
+  cpp: {
+    keywords: [
+      'alignas', 'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'const_cast',
+      'constexpr', 'continue', 'default', 'delete', 'do', 'double', 'dynamic_cast', 'else', 'enum',
+      'explicit', 'extern', 'float', 'for', 'friend', 'goto', 'if', 'inline', 'int', 'long', 'mutable',
+      'namespace', 'new', 'noexcept', 'operator', 'private', 'protected', 'public', 'register',
+      'reinterpret_cast', 'return', 'short', 'signed', 'sizeof', 'static', 'static_cast', 'struct',
+      'switch', 'template', 'this', 'throw', 'try', 'typedef', 'typename', 'union', 'unsigned', 'using',
+      'virtual', 'void', 'volatile', 'while'
+    ],
+    literals: ['true', 'false', 'nullptr', 'NULL'],
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"],
+    multilineStrings: [],
+    preprocessor: true
+  }
+};
+
+const GENERIC_GRAMMAR = {
+  keywords: [],
+  literals: ['true', 'false', 'null'],
+  lineComments: ['//'],
+  blockComment: ['/*', '*/'],
+  strings: ['"', "'"],
+  multilineStrings: []
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*/;
+const NUMBER_PATTERN = /^(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)[a-zA-Z]*/;
+const PREPROCESSOR_PATTERN = /^#\s*[A-Za-z]+/;
+
+// Is `index` the first non-blank character of its line?
+function isLineStart(code, index) {
+  const lineStart = code.lastIndexOf('\n', index - 1) + 1;
+  return /^[ \t]*$/.test(code.slice(lineStart, index));
+}
+
+/**
+ * Find where a string that opens at `start` ends
+ * @returns {number} - Index just past the closing delimiter (or the end of the line/code if unterminated)
+ */
+function findStringEnd(code, start, delimiter, multiline) {
+  let i = start + delimiter.length;
+  while (i < code.length) {
+    if (code[i] === '\\') {
+      i += 2;
+    } else if (code.startsWith(delimiter, i)) {
+      return i + delimiter.length;
+    } else if (code[i] === '\n' && !multiline) {
+      return i;
+    } else {
+      i++;
+    }
+  }
+  return code.length;
+}
+
+/**
+ * Split code into a flat list of typed tokens
+ * @param {string} code - Source code
+ * @param {object} grammar - One of GRAMMARS
+ * @returns {Array} - [{ type, text }]
+ */
+function tokenize(code, grammar) {
+  const keywords = new Set(grammar.keywords);
+  const literals = new Set(grammar.literals);
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type && type === 'plain') {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  while (i < code.length) {
+    const rest = code.slice(i);
+
+    if (grammar.lineComments.some(marker => rest.startsWith(marker))) {
+      const end = code.indexOf('\n', i);
+      const stop = end === -1 ? code.length : end;
+      push('comment', code.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    if (grammar.blockComment && rest.startsWith(grammar.blockComment[0])) {
+      const end = code.indexOf(grammar.blockComment[1], i + grammar.blockComment[0].length);
+      const stop = end === -1 ? code.length : end + grammar.blockComment[1].length;
+      push('comment', code.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    if (grammar.preprocessor && isLineStart(code, i) && PREPROCESSOR_PATTERN.test(rest)) {
+      const directive = rest.match(PREPROCESSOR_PATTERN)[0];
+      push('keyword', directive);
+      i += directive.length;
+      continue;
+    }
+
+    const prefix = grammar.stringPrefix ? (rest.match(grammar.stringPrefix) || [''])[0] : '';
+    const delimiter = grammar.strings.find(d => rest.startsWith(d, prefix.length));
+    if (delimiter) {
+      const multiline = grammar.multilineStrings.includes(delimiter);
+      const stop = findStringEnd(code, i + prefix.length, delimiter, multiline);
+      push('string', code.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    const previous = i > 0 ? code[i - 1] : '';
+    const number = /[\w$]/.test(previous) ? null : rest.match(NUMBER_PATTERN);
+    if (number) {
+      push('number', number[0]);
+      i += number[0].length;
+      continue;
+    }
+
+    const identifier = rest.match(IDENTIFIER_PATTERN);
+    if (identifier) {
+      const word = identifier[0];
+      const after = code.slice(i + word.length).match(/^\s*(.)/);
+      if (keywords.has(word)) {
+        push('keyword', word);
+      } else if (literals.has(word)) {
+        push('literal', word);
+      } else if (after && after[1] === '(') {
+        push('function', word);
+      } else {
+        push('plain', word);
+      }
+      i += word.length;
+      continue;
+    }
+
+    push('plain', code[i]);
+    i++;
+  }
+
+  return tokens;
+}
+
+/**
+ * Highlight code as numbered lines of tokens
+ * @param {string} code - Source code
+ * @param {string} syntax - Syntax hint from the language pack (e.g. "python")
+ * @returns {Array} - [{ number, tokens: [{ type, text }] }]
+ */
+function highlightCode(code, syntax) {
+  const grammar = GRAMMARS[syntax] || GENERIC_GRAMMAR;
+  const lines = [{ number: 1, tokens: [] }];
+
+  // Tokens such as block comments can span lines - split them at each newline
+  tokenize(code, grammar).forEach(({ type, text }) => {
+    text.split('\n').forEach((part, index) => {
+      if (index > 0) {
+        lines.push({ number: lines.length + 1, tokens: [] });
+      }
+      if (part !== '') {
+        lines[lines.length - 1].tokens.push({ type, text: part });
+      }
+    });
+  });
+
+  return lines;
+}
+
+module.exports = {
+  highlightCode
+};